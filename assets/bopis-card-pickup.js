@@ -0,0 +1,156 @@
+if (!customElements.get('bopis-card-pickup')) {
+  customElements.define('bopis-card-pickup', class BopisCardPickup extends HTMLElement {
+    // All cards on the page share one observer and one queue: cards that come
+    // into view together are looked up in a single Storefront API query.
+    static batchSize = 20;
+    static observer = null;
+    static queue = [];
+    static requests = new Map();
+    static flushTimer = null;
+    static storefrontClient = null;
+    static cache = { ttl: 60 * 1000, staleWhileRevalidate: 5 * 60 * 1000 };
+
+    static query = `
+      query bopisCardPickup($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            storeAvailability(first: 250) {
+              edges {
+                node {
+                  available
+                  location {
+                    id
+                    sameDayPickup: metafield(namespace: "bopis", key: "same_day_pickup") {
+                      value
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    // Lazy-loads like ProductRecommendations: nothing is fetched until the card is near the viewport
+    static observe(card) {
+      if (!BopisCardPickup.observer) {
+        BopisCardPickup.observer = new IntersectionObserver((entries, observer) => {
+          entries.forEach((entry) => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            entry.target.loadAvailability();
+          });
+        }, { rootMargin: '0px 0px 400px 0px' });
+      }
+
+      BopisCardPickup.observer.observe(card);
+    }
+
+    // Returns a promise of { [locationId]: { available, sameDay } }, shared by
+    // every card showing the variant
+    static request(variantId) {
+      if (!BopisCardPickup.requests.has(variantId)) {
+        BopisCardPickup.requests.set(variantId, new Promise((resolve, reject) => {
+          BopisCardPickup.queue.push({ variantId, resolve, reject });
+        }));
+
+        clearTimeout(BopisCardPickup.flushTimer);
+        BopisCardPickup.flushTimer = setTimeout(BopisCardPickup.flush, 50);
+      }
+
+      return BopisCardPickup.requests.get(variantId);
+    }
+
+    static flush() {
+      const queue = BopisCardPickup.queue.splice(0);
+
+      for (let index = 0; index < queue.length; index += BopisCardPickup.batchSize) {
+        const batch = queue.slice(index, index + BopisCardPickup.batchSize);
+        const ids = batch.map(({ variantId }) => `gid://shopify/ProductVariant/${variantId}`);
+
+        BopisCardPickup.storefrontClient
+          .query(BopisCardPickup.query, { ids }, { cache: BopisCardPickup.cache })
+          .then((data) => {
+            batch.forEach(({ resolve }, position) => {
+              const node = data.nodes[position];
+              const edges = node && node.storeAvailability ? node.storeAvailability.edges : [];
+              resolve(edges.reduce((availability, { node: { location, available } }) => {
+                const sameDay = Boolean(location.sameDayPickup) && location.sameDayPickup.value === 'true';
+                availability[location.id] = { available, sameDay };
+                return availability;
+              }, {}));
+            });
+          })
+          .catch((error) => {
+            console.error('BOPIS: Failed to fetch card pickup availability:', error);
+            // Let cards rendered later try again
+            batch.forEach(({ variantId, reject }) => {
+              BopisCardPickup.requests.delete(variantId);
+              reject(error);
+            });
+          });
+      }
+    }
+
+    connectedCallback() {
+      if (!BopisCardPickup.storefrontClient) BopisCardPickup.storefrontClient = StorefrontClient.fromSettings();
+
+      // Availability covers every store, so a new preferred store only needs a re-render
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => {
+        if (this.availability) {
+          this.render();
+        } else if (!this.loaded) {
+          BopisCardPickup.observe(this);
+        }
+      });
+
+      this.loaded = false;
+      if (getPreferredStore()) BopisCardPickup.observe(this);
+    }
+
+    disconnectedCallback() {
+      if (BopisCardPickup.observer) BopisCardPickup.observer.unobserve(this);
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+
+      this.preferredStoreChangeUnsubscriber = undefined;
+    }
+
+    async loadAvailability() {
+      if (!getPreferredStore()) return;
+
+      this.loaded = true;
+      try {
+        this.availability = await BopisCardPickup.request(this.dataset.variantId);
+        this.render();
+      } catch (error) {
+        this.loaded = false;
+        this.hidden = true;
+      }
+    }
+
+    render() {
+      const store = getPreferredStore();
+      if (!store || !this.availability) {
+        this.hidden = true;
+        return;
+      }
+
+      const availability = this.availability[store.id];
+      let status = 'unavailable';
+      if (availability && availability.available) {
+        status = availability.sameDay ? 'today' : 'available';
+      }
+
+      this.dataset.status = status;
+      this.textContent = {
+        today: bopisString('cardPickupToday', { store: store.name }),
+        available: bopisString('cardPickupAvailable', { store: store.name }),
+        unavailable: bopisString('cardPickupUnavailable')
+      }[status];
+      this.hidden = false;
+    }
+  });
+}
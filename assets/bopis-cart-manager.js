@@ -0,0 +1,395 @@
+// Owns the Storefront API cart that BOPIS buyer preferences are written to.
+//
+// The online store (Ajax) cart and the Storefront API cart are two different
+// carts: their IDs cannot be converted into one another. This manager creates
+// a real Storefront cart with `cartCreate`, remembers it in localStorage next
+// to the Ajax cart token it was created for, and replaces it whenever it has
+// expired, been checked out, or belongs to a previous Ajax cart.
+const BOPIS_CART_STORAGE_KEY = 'bopis:storefront-cart';
+const BOPIS_CART_LINES_LIMIT = 250;
+
+// Storefront API delivery preferences have no local delivery type: it is
+// offered at checkout as a shipping-address rate, so it maps to SHIPPING.
+const BOPIS_DELIVERY_METHOD_TYPES = {
+  shipping: 'SHIPPING',
+  pick_up: 'PICK_UP',
+  local_delivery: 'SHIPPING'
+};
+
+const BOPIS_CART_FRAGMENT = `
+  fragment BopisCart on Cart {
+    id
+    checkoutUrl
+    note
+    attributes {
+      key
+      value
+    }
+    lines(first: ${BOPIS_CART_LINES_LIMIT}) {
+      edges {
+        node {
+          id
+          quantity
+          attributes {
+            key
+            value
+          }
+          merchandise {
+            ... on ProductVariant {
+              id
+            }
+          }
+          sellingPlanAllocation {
+            sellingPlan {
+              id
+            }
+          }
+        }
+      }
+    }
+    buyerIdentity {
+      email
+      phone
+      countryCode
+      preferences {
+        delivery {
+          deliveryMethod
+          pickupHandle
+        }
+      }
+    }
+  }
+`;
+
+// Thrown by BopisCartManager#mutateCart when the cart it was given no longer
+// existed and was replaced. `cart` is the new cart, already holding the Ajax
+// cart's lines, so anything planned against the old cart must be planned again.
+class BopisCartRecreatedError extends Error {
+  constructor(operation, cart) {
+    super(`Storefront cart was recreated during ${operation}`);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.cart = cart;
+  }
+}
+
+class BopisCartManager {
+  constructor(storefrontClient, options = {}) {
+    this.storefrontClient = storefrontClient;
+    this.storageKey = options.storageKey || BOPIS_CART_STORAGE_KEY;
+    this.cart = null;
+    this.ajaxCart = null;
+    this.mismatch = null;
+  }
+
+  static shared(storefrontClient) {
+    if (!BopisCartManager.instance) BopisCartManager.instance = new BopisCartManager(storefrontClient);
+    return BopisCartManager.instance;
+  }
+
+  // Returns a Storefront cart that exists and belongs to the current Ajax cart,
+  // creating a new one when the stored cart can no longer be used.
+  async getCart() {
+    if (this.pendingCart) return this.pendingCart;
+
+    this.pendingCart = this.loadCart().finally(() => {
+      this.pendingCart = null;
+    });
+
+    return this.pendingCart;
+  }
+
+  async loadCart() {
+    const ajaxCart = await this.fetchAjaxCart();
+    const storedCart = this.readStoredCart();
+    let cart = null;
+
+    // A stored cart that expired, was checked out or belongs to an earlier Ajax cart is replaced
+    if (storedCart && storedCart.ajaxToken === ajaxCart.token) {
+      cart = await this.fetchCart(storedCart.id);
+    }
+
+    if (!cart) cart = await this.createCart(ajaxCart);
+
+    this.setCart(cart);
+    this.mismatch = this.compareWithAjaxCart(ajaxCart, cart);
+
+    if (!this.mismatch.matches) {
+      console.warn('BOPIS: Storefront cart does not match the Ajax cart', this.mismatch);
+    }
+
+    return cart;
+  }
+
+  async fetchAjaxCart() {
+    const response = await fetch(`${routes.cart_url}.js`);
+
+    if (!response.ok) {
+      throw new Error('Unable to access cart. Please try refreshing the page.');
+    }
+
+    this.ajaxCart = await response.json();
+    return this.ajaxCart;
+  }
+
+  async fetchCart(cartId) {
+    const query = `
+      query bopisCart($cartId: ID!) {
+        cart(id: $cartId) {
+          ...BopisCart
+        }
+      }
+      ${BOPIS_CART_FRAGMENT}
+    `;
+
+    const data = await this.storefrontClient.query(query, { cartId });
+    return data.cart;
+  }
+
+  async createCart(ajaxCart) {
+    const mutation = `
+      mutation bopisCartCreate($input: CartInput!) {
+        cartCreate(input: $input) {
+          cart {
+            ...BopisCart
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+      ${BOPIS_CART_FRAGMENT}
+    `;
+
+    const data = await this.storefrontClient.mutate(mutation, { input: this.buildCartInput(ajaxCart) });
+    const { cart, userErrors } = data.cartCreate;
+
+    if (userErrors.length > 0) {
+      throw new StorefrontUserError('cartCreate', userErrors);
+    }
+    if (!cart) {
+      throw new Error('Unable to create cart');
+    }
+
+    return cart;
+  }
+
+  async updateBuyerIdentity(buyerIdentity, retry = true) {
+    const mutation = `
+      mutation bopisCartBuyerIdentityUpdate($cartId: ID!, $buyerIdentity: CartBuyerIdentityInput!) {
+        cartBuyerIdentityUpdate(cartId: $cartId, buyerIdentity: $buyerIdentity) {
+          cart {
+            ...BopisCart
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+      ${BOPIS_CART_FRAGMENT}
+    `;
+
+    return this.mutateCart('cartBuyerIdentityUpdate', mutation, { buyerIdentity }, retry);
+  }
+
+  // `method` is a BOPIS_FULFILLMENT_METHODS value. The pickup handle only applies
+  // to pickup, so any other method clears it.
+  async updateDeliveryPreference(method, pickupHandle = null) {
+    return this.updateBuyerIdentity({
+      preferences: {
+        delivery: {
+          deliveryMethod: [BOPIS_DELIVERY_METHOD_TYPES[method]],
+          pickupHandle: method === 'pick_up' && pickupHandle ? [pickupHandle] : []
+        }
+      }
+    });
+  }
+
+  // Runs a cart mutation. If Shopify reports that the cart no longer exists, a new
+  // one is created from the Ajax cart. Buyer identity updates are then retried
+  // once as they are; any other mutation throws BopisCartRecreatedError, since its
+  // line IDs and quantities were worked out against the old cart.
+  async mutateCart(name, mutation, variables, retry = true) {
+    const cart = this.cart || await this.getCart();
+    const data = await this.storefrontClient.mutate(mutation, { ...variables, cartId: cart.id });
+    const result = data[name];
+
+    if (retry && (!result.cart || this.isMissingCartError(result.userErrors))) {
+      const newCart = await this.recreateCart(cart);
+      if (name === 'cartBuyerIdentityUpdate') return this.mutateCart(name, mutation, variables, false);
+
+      throw new BopisCartRecreatedError(name, newCart);
+    }
+
+    if (result.userErrors.length > 0) {
+      throw new StorefrontUserError(name, result.userErrors);
+    }
+
+    this.setCart(result.cart);
+    return result.cart;
+  }
+
+  // The new cart starts without a buyer identity, so the old cart's delivery
+  // preference is applied to it again.
+  async recreateCart(oldCart) {
+    this.clearStoredCart();
+    this.cart = null;
+    const cart = await this.getCart();
+    const delivery = oldCart.buyerIdentity && oldCart.buyerIdentity.preferences && oldCart.buyerIdentity.preferences.delivery;
+    if (!delivery) return cart;
+
+    return this.updateBuyerIdentity({
+      preferences: {
+        delivery: {
+          deliveryMethod: delivery.deliveryMethod || [],
+          pickupHandle: delivery.pickupHandle || []
+        }
+      }
+    }, false);
+  }
+
+  isMissingCartError(userErrors = []) {
+    return userErrors.some((error) => Array.isArray(error.field) && error.field.includes('cartId'));
+  }
+
+  buildCartInput(ajaxCart) {
+    const input = {
+      lines: Object.values(this.groupAjaxLines(ajaxCart)).map((line) => line.input)
+    };
+
+    if (ajaxCart.note) input.note = ajaxCart.note;
+
+    const attributes = this.toAttributeInput(ajaxCart.attributes);
+    if (attributes.length > 0) input.attributes = attributes;
+
+    return input;
+  }
+
+  // Ajax items and Storefront lines are matched on variant, selling plan and
+  // line item properties, because their line IDs are unrelated.
+  groupAjaxLines(ajaxCart) {
+    return ajaxCart.items.reduce((lines, item) => {
+      const attributes = this.toAttributeInput(item.properties);
+      const sellingPlanId = item.selling_plan_allocation ? `gid://shopify/SellingPlan/${item.selling_plan_allocation.selling_plan.id}` : null;
+      const merchandiseId = `gid://shopify/ProductVariant/${item.variant_id}`;
+      const key = this.getLineKey(merchandiseId, sellingPlanId, attributes);
+
+      if (lines[key]) {
+        lines[key].input.quantity += item.quantity;
+        return lines;
+      }
+
+      const input = { merchandiseId, quantity: item.quantity };
+      if (attributes.length > 0) input.attributes = attributes;
+      if (sellingPlanId) input.sellingPlanId = sellingPlanId;
+      lines[key] = { input };
+
+      return lines;
+    }, {});
+  }
+
+  groupStorefrontLines(cart) {
+    return cart.lines.edges.reduce((lines, { node }) => {
+      const sellingPlanId = node.sellingPlanAllocation ? node.sellingPlanAllocation.sellingPlan.id : null;
+      const key = this.getLineKey(node.merchandise.id, sellingPlanId, node.attributes);
+
+      lines[key] = lines[key] || { lineIds: [], quantity: 0 };
+      lines[key].lineIds.push(node.id);
+      lines[key].quantity += node.quantity;
+
+      return lines;
+    }, {});
+  }
+
+  getLineKey(merchandiseId, sellingPlanId, attributes) {
+    return [merchandiseId, sellingPlanId || '', this.serializeAttributes(attributes)].join('|');
+  }
+
+  toAttributeInput(attributes) {
+    return Object.entries(attributes || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => ({ key, value: String(value) }));
+  }
+
+  serializeAttributes(attributes = []) {
+    return JSON.stringify(
+      attributes.map(({ key, value }) => [key, value]).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+
+  // Compares variant quantities only: line IDs are never shared between the two carts.
+  compareWithAjaxCart(ajaxCart, cart) {
+    const ajaxQuantities = this.getAjaxQuantities(ajaxCart);
+    const storefrontQuantities = this.getStorefrontQuantities(cart);
+    const variantIds = new Set([...Object.keys(ajaxQuantities), ...Object.keys(storefrontQuantities)]);
+    const differences = [];
+
+    variantIds.forEach((variantId) => {
+      const ajaxQuantity = ajaxQuantities[variantId] || 0;
+      const storefrontQuantity = storefrontQuantities[variantId] || 0;
+
+      if (ajaxQuantity !== storefrontQuantity) {
+        differences.push({ variantId, ajaxQuantity, storefrontQuantity });
+      }
+    });
+
+    return {
+      matches: differences.length === 0,
+      ajaxToken: ajaxCart.token,
+      cartId: cart.id,
+      differences
+    };
+  }
+
+  getAjaxQuantities(ajaxCart) {
+    return ajaxCart.items.reduce((quantities, item) => {
+      const variantId = String(item.variant_id);
+      quantities[variantId] = (quantities[variantId] || 0) + item.quantity;
+      return quantities;
+    }, {});
+  }
+
+  getStorefrontQuantities(cart) {
+    return cart.lines.edges.reduce((quantities, { node }) => {
+      const variantId = node.merchandise.id.split('/').pop();
+      quantities[variantId] = (quantities[variantId] || 0) + node.quantity;
+      return quantities;
+    }, {});
+  }
+
+  setCart(cart) {
+    this.cart = cart;
+    this.writeStoredCart({
+      id: cart.id,
+      checkoutUrl: cart.checkoutUrl,
+      ajaxToken: this.ajaxCart ? this.ajaxCart.token : null,
+      updatedAt: Date.now()
+    });
+  }
+
+  readStoredCart() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeStoredCart(storedCart) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(storedCart));
+    } catch (error) {
+      console.warn('BOPIS: Unable to persist Storefront cart', error);
+    }
+  }
+
+  clearStoredCart() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Storage may be unavailable (private mode); the cart is simply not persisted.
+    }
+  }
+}
@@ -0,0 +1,176 @@
+// Loads classic scripts one after another, skipping any already on the page
+function bopisLoadScripts(urls) {
+  return urls.reduce((previous, src) => previous.then(() => new Promise((resolve, reject) => {
+    if (document.querySelector(`script[src="${src}"]`)) {
+      resolve();
+      return;
+    }
+
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  })), Promise.resolve());
+}
+
+if (!customElements.get('bopis-cart-pickup')) {
+  customElements.define('bopis-cart-pickup', class BopisCartPickup extends HTMLElement {
+    constructor() {
+      super();
+
+      this.status = this.querySelector('.bopis-cart-pickup__status');
+      this.slotMessage = this.querySelector('.bopis-cart-pickup__slot');
+      this.changeButton = this.querySelector('[data-action="change"]');
+      this.clearButton = this.querySelector('[data-action="clear"]');
+      this.selectorContainer = this.querySelector('.bopis-cart-pickup__selector');
+      this.errorMessage = this.querySelector('.bopis-cart-pickup__error');
+
+      this.changeButton.addEventListener('click', this.toggleSelector.bind(this));
+      this.clearButton.addEventListener('click', this.clearStore.bind(this));
+      this.onStoreChange = debounce(this.refreshCart.bind(this), ON_CHANGE_DEBOUNCE_TIMER);
+    }
+
+    connectedCallback() {
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, this.onStoreChange);
+      this.fulfillmentMethodChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.fulfillmentMethodChange, this.onStoreChange);
+      this.pickupSlotChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.pickupSlotChange, this.onStoreChange);
+
+      this.verifyDeliveryPreference();
+    }
+
+    disconnectedCallback() {
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+      if (this.fulfillmentMethodChangeUnsubscriber) {
+        this.fulfillmentMethodChangeUnsubscriber();
+      }
+      if (this.pickupSlotChangeUnsubscriber) {
+        this.pickupSlotChangeUnsubscriber();
+      }
+
+      this.preferredStoreChangeUnsubscriber = undefined;
+      this.fulfillmentMethodChangeUnsubscriber = undefined;
+      this.pickupSlotChangeUnsubscriber = undefined;
+    }
+
+    getCartManager() {
+      if (!this.cartManager) {
+        this.cartManager = BopisCartManager.shared(StorefrontClient.fromSettings());
+      }
+      return this.cartManager;
+    }
+
+    // Liquid renders the store from the cart attributes; the Storefront cart's
+    // buyer identity is what checkout uses, so it has the final say. Nothing is
+    // created when the shopper has no Storefront cart yet.
+    async verifyDeliveryPreference() {
+      const cartManager = this.getCartManager();
+      if (!cartManager.cart && !cartManager.readStoredCart()) return;
+
+      try {
+        const cart = cartManager.cart || await cartManager.getCart();
+        const delivery = cart.buyerIdentity && cart.buyerIdentity.preferences && cart.buyerIdentity.preferences.delivery;
+        const pickupHandle = delivery && delivery.deliveryMethod.includes('PICK_UP') ? delivery.pickupHandle[0] : null;
+
+        if ((pickupHandle || '') === this.dataset.locationId) return;
+
+        const location = pickupHandle ? await this.fetchLocation(pickupHandle) : null;
+        this.renderStore(location);
+      } catch (error) {
+        console.warn('BOPIS: Unable to read the cart delivery preference', error);
+      }
+    }
+
+    async fetchLocation(pickupHandle) {
+      const query = `
+        query bopisCartPickupLocation($id: ID!) {
+          node(id: $id) {
+            ... on Location {
+              id
+              name
+            }
+          }
+        }
+      `;
+
+      const data = await this.getCartManager().storefrontClient.query(
+        query,
+        { id: `gid://shopify/Location/${pickupHandle}` },
+        { cache: { ttl: 5 * 60 * 1000, staleWhileRevalidate: 60 * 60 * 1000, persist: true } }
+      );
+      return data.node;
+    }
+
+    renderStore(location) {
+      this.dataset.locationId = location ? bopisLocationNumericId(location.id) : '';
+      this.status.textContent = location ? bopisString('cartPickingUpAt', { store: location.name }) : bopisString('cartNoStore');
+      this.changeButton.textContent = bopisString(location ? 'cartChangeStore' : 'cartChooseStore');
+      this.clearButton.hidden = !location;
+      // The pickup time was booked for the store Liquid rendered
+      if (this.slotMessage) this.slotMessage.hidden = true;
+    }
+
+    // Used by the "Switch store" action on cart lines
+    openSelector() {
+      if (this.changeButton.getAttribute('aria-expanded') !== 'true') this.toggleSelector();
+      this.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      this.changeButton.focus();
+    }
+
+    async toggleSelector() {
+      const expanded = this.changeButton.getAttribute('aria-expanded') === 'true';
+      this.changeButton.setAttribute('aria-expanded', !expanded);
+      this.selectorContainer.hidden = expanded;
+      if (expanded || this.selectorContainer.childElementCount > 0) return;
+
+      try {
+        await bopisLoadScripts(this.dataset.selectorScripts.split(','));
+        this.selectorContainer.appendChild(this.querySelector('template').content.cloneNode(true));
+      } catch (error) {
+        console.error('BOPIS: Failed to load the store selector:', error);
+        this.showError();
+      }
+    }
+
+    // Removing the store switches the cart back to shipping
+    async clearStore() {
+      this.setAttribute('aria-busy', 'true');
+      this.errorMessage.hidden = true;
+
+      try {
+        await this.getCartManager().updateDeliveryPreference('shipping');
+        await Promise.all([clearPreferredStore('bopis-cart-pickup'), setFulfillmentMethod('shipping', 'bopis-cart-pickup')]);
+      } catch (error) {
+        console.error('BOPIS: Failed to remove pickup store:', error);
+        this.showError();
+      } finally {
+        this.removeAttribute('aria-busy');
+      }
+    }
+
+    // The store is rendered by Liquid from the cart attributes, so a change
+    // re-renders the cart sections this element belongs to
+    refreshCart() {
+      const cartItems = document.querySelector(this.closest('cart-drawer') ? 'cart-drawer-items' : 'cart-items');
+      if (!cartItems) return;
+
+      const id = this.id;
+      const hadFocus = this.contains(document.activeElement);
+
+      cartItems.refreshSections().then(() => {
+        const button = document.getElementById(id)?.querySelector('[data-action="change"]');
+        if (!button || !hadFocus) return;
+
+        const cartDrawer = button.closest('cart-drawer');
+        cartDrawer ? trapFocus(cartDrawer, button) : button.focus();
+      });
+    }
+
+    showError() {
+      this.errorMessage.textContent = bopisString('cartPickupError');
+      this.errorMessage.hidden = false;
+    }
+  });
+}
@@ -0,0 +1,167 @@
+// Keeps the Storefront API cart managed by BopisCartManager in step with the
+// Ajax cart that cart.js, product-form.js and the rest of the theme mutate.
+//
+// The Ajax cart is the source of truth: every `cartUpdate` publish replays its
+// lines, note and attributes onto the Storefront cart, so the buyer-identity
+// pickup preference applies to the lines the shopper actually sees.
+const BOPIS_CART_SYNC_MUTATIONS = {
+  cartLinesRemove: { args: '$lineIds: [ID!]!', input: 'lineIds: $lineIds' },
+  cartLinesUpdate: { args: '$lines: [CartLineUpdateInput!]!', input: 'lines: $lines' },
+  cartLinesAdd: { args: '$lines: [CartLineInput!]!', input: 'lines: $lines' },
+  cartNoteUpdate: { args: '$note: String!', input: 'note: $note' },
+  cartAttributesUpdate: { args: '$attributes: [AttributeInput!]!', input: 'attributes: $attributes' }
+};
+
+class BopisCartSync {
+  constructor(cartManager) {
+    this.cartManager = cartManager;
+    this.report = null;
+    this.running = Promise.resolve();
+    this.queued = null;
+  }
+
+  static shared(cartManager) {
+    if (!BopisCartSync.instance) BopisCartSync.instance = new BopisCartSync(cartManager);
+    return BopisCartSync.instance;
+  }
+
+  cartUpdateUnsubscriber = undefined;
+
+  start() {
+    if (this.cartUpdateUnsubscriber) return this.running;
+
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      // The selector syncs explicitly before it publishes.
+      if (event && event.source === 'bopis-location-selector') return;
+      this.sync().catch((error) => console.error('BOPIS: Cart sync failed:', error));
+    });
+
+    // Reconcile whatever changed while the shopper was on pages without the selector.
+    return this.sync();
+  }
+
+  stop() {
+    if (this.cartUpdateUnsubscriber) {
+      this.cartUpdateUnsubscriber();
+      this.cartUpdateUnsubscriber = undefined;
+    }
+  }
+
+  // Runs one reconciliation at a time; calls made while one is running are
+  // coalesced into a single follow-up run that sees the latest Ajax cart.
+  sync() {
+    if (this.queued) return this.queued;
+
+    this.queued = this.running.catch(() => {}).then(() => {
+      this.queued = null;
+      return this.reconcile();
+    });
+    this.running = this.queued;
+
+    return this.queued;
+  }
+
+  // `recreated` is set when the cart was replaced during a previous pass: the
+  // new cart is planned again once, then further failures are only reported.
+  async reconcile(recreated = false) {
+    let cart = await this.cartManager.getCart();
+    const ajaxCart = this.cartManager.ajaxCart;
+    const plan = this.buildPlan(ajaxCart, cart);
+    const errors = [];
+
+    for (const [name, variables] of plan) {
+      try {
+        cart = await this.cartManager.mutateCart(name, this.buildMutation(name), variables);
+      } catch (error) {
+        if (error instanceof BopisCartRecreatedError && !recreated) return this.reconcile(true);
+
+        console.warn(`BOPIS: ${name} failed during cart sync:`, error);
+        errors.push({ operation: name, variables, message: error.message, userErrors: error.userErrors || [] });
+      }
+    }
+
+    const comparison = this.cartManager.compareWithAjaxCart(ajaxCart, cart);
+    this.cartManager.mismatch = comparison;
+
+    this.report = {
+      syncedAt: Date.now(),
+      cartId: cart.id,
+      ajaxToken: ajaxCart.token,
+      operations: plan.map(([name]) => name),
+      matches: comparison.matches && errors.length === 0,
+      differences: comparison.differences,
+      errors
+    };
+
+    if (!this.report.matches) console.warn('BOPIS: Cart sync finished with conflicts', this.report);
+
+    return cart;
+  }
+
+  // Conflicts left after the last sync: variant quantities that still differ
+  // (e.g. a variant not published to the Storefront channel) and failed mutations.
+  getConflictReport() {
+    return this.report;
+  }
+
+  buildPlan(ajaxCart, cart) {
+    const ajaxLines = this.cartManager.groupAjaxLines(ajaxCart);
+    const storefrontLines = this.cartManager.groupStorefrontLines(cart);
+    const lineIdsToRemove = [];
+    const linesToUpdate = [];
+    const linesToAdd = [];
+
+    Object.entries(ajaxLines).forEach(([key, line]) => {
+      const storefrontLine = storefrontLines[key];
+
+      if (!storefrontLine) {
+        linesToAdd.push(line.input);
+        return;
+      }
+
+      const [lineId, ...duplicateLineIds] = storefrontLine.lineIds;
+      lineIdsToRemove.push(...duplicateLineIds);
+      if (duplicateLineIds.length > 0 || storefrontLine.quantity !== line.input.quantity) {
+        linesToUpdate.push({ id: lineId, quantity: line.input.quantity });
+      }
+    });
+
+    Object.entries(storefrontLines).forEach(([key, line]) => {
+      if (!ajaxLines[key]) lineIdsToRemove.push(...line.lineIds);
+    });
+
+    const plan = [];
+    if (lineIdsToRemove.length > 0) plan.push(['cartLinesRemove', { lineIds: lineIdsToRemove }]);
+    if (linesToUpdate.length > 0) plan.push(['cartLinesUpdate', { lines: linesToUpdate }]);
+    if (linesToAdd.length > 0) plan.push(['cartLinesAdd', { lines: linesToAdd }]);
+
+    const note = ajaxCart.note || '';
+    if (note !== (cart.note || '')) plan.push(['cartNoteUpdate', { note }]);
+
+    const attributes = this.cartManager.toAttributeInput(ajaxCart.attributes);
+    if (this.cartManager.serializeAttributes(attributes) !== this.cartManager.serializeAttributes(cart.attributes)) {
+      plan.push(['cartAttributesUpdate', { attributes }]);
+    }
+
+    return plan;
+  }
+
+  buildMutation(name) {
+    const { args, input } = BOPIS_CART_SYNC_MUTATIONS[name];
+
+    return `
+      mutation bopisSync${name}($cartId: ID!, ${args}) {
+        ${name}(cartId: $cartId, ${input}) {
+          cart {
+            ...BopisCart
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+      ${BOPIS_CART_FRAGMENT}
+    `;
+  }
+}
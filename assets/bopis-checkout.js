@@ -0,0 +1,70 @@
+// Sends checkout to the Storefront API cart when it carries a pickup preference.
+//
+// The theme's checkout buttons submit the Ajax cart to /cart, and the checkout
+// that starts has none of the Storefront cart's buyer identity: the pickup store
+// written with cartBuyerIdentityUpdate would never reach it. When the Storefront
+// cart has a PICK_UP preference, it is synced with the Ajax cart first and
+// checkout continues at its `checkoutUrl`. Without a preference, or when the two
+// carts can't be made to match, the regular checkout runs.
+let bopisCheckoutBypass = false;
+let bopisCheckoutPending = false;
+
+// Resolves to the Storefront cart's checkout URL, or null for the regular checkout
+async function bopisGetPickupCheckoutUrl(cartManager) {
+  const cartSync = BopisCartSync.shared(cartManager);
+  const cart = await cartSync.sync();
+  const delivery = cart.buyerIdentity && cart.buyerIdentity.preferences && cart.buyerIdentity.preferences.delivery;
+  if (!delivery || !delivery.deliveryMethod.includes('PICK_UP')) return null;
+
+  // A Storefront cart that still differs would check out other lines than the shopper sees
+  const report = cartSync.getConflictReport();
+  if (!report || !report.matches) {
+    console.warn('BOPIS: Storefront cart does not match the cart, using the regular checkout', report);
+    return null;
+  }
+
+  return cart.checkoutUrl;
+}
+
+// Covers every `name="checkout"` button: cart page, cart drawer and cart notification.
+// Runs after the cart's own submit handlers, so a checkout they block stays blocked.
+document.addEventListener('submit', (event) => {
+  if (bopisCheckoutBypass || event.defaultPrevented) return;
+  if (!event.submitter || event.submitter.name !== 'checkout') return;
+  if (![null, 'pick_up'].includes(getFulfillmentMethod())) return;
+
+  // Shoppers who never chose a store have no Storefront cart, and none is created here
+  const storefrontClient = StorefrontClient.fromSettings();
+  if (!storefrontClient) return;
+  const cartManager = BopisCartManager.shared(storefrontClient);
+  if (!cartManager.cart && !cartManager.readStoredCart()) return;
+
+  event.preventDefault();
+  if (bopisCheckoutPending) return;
+
+  const form = event.target;
+  const submitter = event.submitter;
+  bopisCheckoutPending = true;
+  submitter.setAttribute('aria-busy', 'true');
+
+  bopisGetPickupCheckoutUrl(cartManager)
+    .catch((error) => {
+      console.error('BOPIS: Unable to prepare the pickup checkout:', error);
+      return null;
+    })
+    .then((checkoutUrl) => {
+      if (checkoutUrl) {
+        window.location = checkoutUrl;
+        return;
+      }
+
+      bopisCheckoutPending = false;
+      submitter.removeAttribute('aria-busy');
+      bopisCheckoutBypass = true;
+      try {
+        form.requestSubmit(submitter);
+      } finally {
+        bopisCheckoutBypass = false;
+      }
+    });
+});
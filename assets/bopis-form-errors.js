@@ -0,0 +1,70 @@
+// Errors for the BOPIS forms (reserve in store, pickup person), shown the same way as
+// RecipientForm#displayErrorMessage: a summary with links to the fields in
+// `wrapper`, and a message under each field.
+//
+// `fields` maps an error key to its input and the id of the message under it:
+//   { phone: { input, messageId: 'Reserve-phone-error' } }
+class BopisFormErrors {
+  constructor(wrapper, fields) {
+    this.wrapper = wrapper;
+    this.list = wrapper.querySelector('ul');
+    this.heading = wrapper.querySelector('.error-message');
+    this.defaultHeading = this.heading.innerText;
+    this.fields = fields;
+  }
+
+  // `body` is a message, or field errors keyed like `fields`
+  display(body) {
+    this.wrapper.hidden = false;
+
+    if (typeof body !== 'object') {
+      this.heading.innerText = body;
+      this.wrapper.querySelector('.form__message').focus();
+      return;
+    }
+
+    this.heading.innerText = this.defaultHeading;
+    Object.entries(body).forEach(([key, value]) => {
+      const { input, messageId } = this.fields[key];
+      const message = `${input.getAttribute('placeholder')} ${value}`;
+      const messageElement = document.getElementById(messageId);
+
+      this.list.appendChild(this.createErrorListItem(`#${input.id}`, message));
+      messageElement.querySelector('.error-message').innerText = `${message}.`;
+      messageElement.classList.remove('hidden');
+
+      input.setAttribute('aria-invalid', true);
+      input.setAttribute('aria-describedby', messageId);
+    });
+    this.wrapper.querySelector('.form__message').focus();
+  }
+
+  createErrorListItem(target, message) {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.setAttribute('href', target);
+    a.innerText = message;
+    li.appendChild(a);
+    li.className = 'error-message';
+    return li;
+  }
+
+  clear() {
+    this.wrapper.hidden = true;
+    this.list.innerHTML = '';
+
+    Object.values(this.fields).forEach(({ input, messageId }) => {
+      const messageElement = document.getElementById(messageId);
+      messageElement.classList.add('hidden');
+      messageElement.querySelector('.error-message').innerText = '';
+
+      input.setAttribute('aria-invalid', false);
+      input.removeAttribute('aria-describedby');
+    });
+  }
+}
+
+// Up to 20 digits, spaces and ( ) . - characters with an optional leading +, and at least 7 digits
+function bopisIsValidPhone(phone) {
+  return /^\+?[\d\s().-]{7,20}$/.test(phone) && phone.replace(/\D/g, '').length >= 7;
+}
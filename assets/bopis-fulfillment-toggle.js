@@ -0,0 +1,192 @@
+if (!customElements.get('bopis-fulfillment-toggle')) {
+  customElements.define('bopis-fulfillment-toggle', class BopisFulfillmentToggle extends HTMLElement {
+    constructor() {
+      super();
+
+      this.errorMessage = this.querySelector('.bopis-fulfillment__error');
+      this.addEventListener('change', this.onChange.bind(this));
+    }
+
+    connectedCallback() {
+      const method = getFulfillmentMethod();
+      if (method) this.check(method);
+      this.renderPickupStatus();
+      this.updateLineProperties();
+
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, (event) => {
+        this.renderPickupStatus();
+        this.updateLineProperties();
+
+        // The selector writes its own pickup preference; a store chosen anywhere
+        // else has to be applied to the cart while pickup is selected
+        if (this.getCheckedMethod() === 'pick_up' && event.source !== 'bopis-location-selector') {
+          this.savePreference('pick_up').catch((error) => console.error('BOPIS: Failed to update pickup store:', error));
+        }
+      });
+
+      this.fulfillmentMethodChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.fulfillmentMethodChange, (event) => {
+        if (event.source !== 'bopis-fulfillment-toggle') this.check(event.method);
+        this.updateLineProperties();
+      });
+
+      this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+        if (event.data.sectionId !== this.getOriginalSectionId()) return;
+        this.onVariantChange(event.data.html, event.data.sectionId);
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+      if (this.fulfillmentMethodChangeUnsubscriber) {
+        this.fulfillmentMethodChangeUnsubscriber();
+      }
+      if (this.variantChangeUnsubscriber) {
+        this.variantChangeUnsubscriber();
+      }
+
+      this.preferredStoreChangeUnsubscriber = undefined;
+      this.fulfillmentMethodChangeUnsubscriber = undefined;
+      this.variantChangeUnsubscriber = undefined;
+    }
+
+    async onChange(event) {
+      const input = event.target;
+      if (input.type !== 'radio') return;
+
+      // One change at a time: a second click while saving is undone
+      if (this.pendingMethod) {
+        this.check(this.pendingMethod);
+        return;
+      }
+
+      const method = input.value;
+      const previousMethod = getFulfillmentMethod() || 'shipping';
+
+      this.pendingMethod = method;
+      this.setAttribute('aria-busy', 'true');
+      this.errorMessage.hidden = true;
+
+      try {
+        await this.savePreference(method);
+        await setFulfillmentMethod(method, 'bopis-fulfillment-toggle');
+
+        if (method === 'pick_up' && !getPreferredStore()) this.revealStoreSelector();
+      } catch (error) {
+        console.error('BOPIS: Failed to update fulfillment method:', error);
+        this.check(previousMethod);
+        this.errorMessage.textContent = bopisString('fulfillmentError');
+        this.errorMessage.hidden = false;
+      } finally {
+        this.pendingMethod = null;
+        this.removeAttribute('aria-busy');
+      }
+    }
+
+    // Writes the Storefront API delivery preference. Without Storefront API
+    // credentials only the cart attribute is kept.
+    savePreference(method) {
+      const cartManager = this.getCartManager();
+      if (!cartManager) return Promise.resolve();
+
+      const store = getPreferredStore();
+      return cartManager.updateDeliveryPreference(method, store ? bopisLocationNumericId(store.id) : null);
+    }
+
+    getCartManager() {
+      if (this.cartManager !== undefined) return this.cartManager;
+
+      const storefrontClient = StorefrontClient.fromSettings();
+      this.cartManager = storefrontClient ? BopisCartManager.shared(storefrontClient) : null;
+      return this.cartManager;
+    }
+
+    // Quick add renders the product section under a `quickadd-` id, but variant
+    // changes are published for, and rendered from, the original section
+    getOriginalSectionId() {
+      const productInfo = this.closest('product-info');
+      return productInfo && productInfo.dataset.originalSection ? productInfo.dataset.originalSection : this.dataset.sectionId;
+    }
+
+    // Lines added from the section's product form keep the method shown here,
+    // which falls back to shipping when the variant can't be picked up
+    updateLineProperties() {
+      const productForm = document.getElementById(`product-form-${this.dataset.sectionId}`);
+      if (!productForm) return;
+
+      const store = getPreferredStore();
+      const method = this.getCheckedMethod() || getFulfillmentMethod();
+      setLineFulfillmentInputs(productForm, method, store ? bopisLocationNumericId(store.id) : null);
+    }
+
+    // Pickup without a store yet: bring the section's store selector into view
+    revealStoreSelector() {
+      const selector = document.querySelector(`bopis-location-selector[data-section-id="${this.dataset.sectionId}"]`);
+      if (selector) selector.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    // Availability and estimates come from the section re-rendered for the new variant
+    onVariantChange(html, sectionId) {
+      const source = html.querySelector(`bopis-fulfillment-toggle[data-section-id="${sectionId}"]`);
+      if (!source) return;
+
+      source.querySelectorAll('[data-method]').forEach((sourceOption) => {
+        const option = this.querySelector(`[data-method="${sourceOption.dataset.method}"]`);
+        if (!option) return;
+
+        option.querySelector('input').disabled = sourceOption.querySelector('input').disabled;
+        option.querySelector('.bopis-fulfillment__status').innerHTML =
+          sourceOption.querySelector('.bopis-fulfillment__status').innerHTML;
+      });
+
+      this.querySelector('[data-store-availabilities]').textContent =
+        source.querySelector('[data-store-availabilities]').textContent;
+      this.check(getFulfillmentMethod() || 'shipping');
+      this.renderPickupStatus();
+      this.updateLineProperties();
+    }
+
+    // Liquid renders how many stores have the variant; once a preferred store is
+    // known, show that store's availability and pickup time instead
+    renderPickupStatus() {
+      const status = this.querySelector('[data-method="pick_up"] .bopis-fulfillment__status');
+      const store = getPreferredStore();
+      if (!status || !store) return;
+
+      const storeId = bopisLocationNumericId(store.id);
+      const availability = this.getStoreAvailabilities().find((entry) => String(entry.id) === storeId);
+      if (!availability) return;
+
+      const name = availability.name || store.name;
+      if (!availability.available) {
+        status.textContent = bopisString('fulfillmentPickupUnavailable', { store: name });
+      } else if (availability.pickUpTime) {
+        status.textContent = bopisString('fulfillmentPickupReady', { time: availability.pickUpTime, store: name });
+      } else {
+        status.textContent = bopisString('fulfillmentPickupAvailable', { store: name });
+      }
+    }
+
+    getStoreAvailabilities() {
+      try {
+        return JSON.parse(this.querySelector('[data-store-availabilities]').textContent);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    getCheckedMethod() {
+      const input = this.querySelector('input[type="radio"]:checked');
+      return input ? input.value : null;
+    }
+
+    // A method this variant can't use (e.g. pickup with no store stocking it)
+    // shows shipping instead, without changing the shopper's saved choice
+    check(method) {
+      let input = this.querySelector(`input[type="radio"][value="${method}"]`);
+      if (!input || input.disabled) input = this.querySelector('input[type="radio"][value="shipping"]');
+      if (input) input.checked = !input.disabled;
+    }
+  });
+}
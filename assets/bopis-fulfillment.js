@@ -0,0 +1,101 @@
+// How the shopper wants to receive their order: shipped, picked up or delivered locally.
+//
+// Like the preferred store, the choice is kept in localStorage and in the
+// `_fulfillment_method` cart attribute so Liquid can render it. The matching
+// Storefront API buyer preference is written by whoever changes the method,
+// through BopisCartManager#updateDeliveryPreference.
+//
+// Every change publishes PUB_SUB_EVENTS.fulfillmentMethodChange with `{ source, method }`.
+//
+// Cart lines can override the cart's method through their `_fulfillment`
+// ('pick_up' or 'shipping') and `_pickup_location` properties.
+const BOPIS_FULFILLMENT_METHODS = ['shipping', 'pick_up', 'local_delivery'];
+const BOPIS_FULFILLMENT_STORAGE_KEY = 'bopis:fulfillment-method';
+const BOPIS_FULFILLMENT_ATTRIBUTE = '_fulfillment_method';
+
+// Returns null until the shopper has chosen a method
+function getFulfillmentMethod() {
+  try {
+    const method = localStorage.getItem(BOPIS_FULFILLMENT_STORAGE_KEY);
+    if (BOPIS_FULFILLMENT_METHODS.includes(method)) return method;
+  } catch (error) {
+    // Storage unavailable: fall back to what Liquid rendered.
+  }
+
+  const method = (window.preferredStoreSettings || {}).cartFulfillmentMethod;
+  return BOPIS_FULFILLMENT_METHODS.includes(method) ? method : null;
+}
+
+async function setFulfillmentMethod(method, source) {
+  if (!BOPIS_FULFILLMENT_METHODS.includes(method)) throw new Error(`Unknown fulfillment method: ${method}`);
+
+  try {
+    localStorage.setItem(BOPIS_FULFILLMENT_STORAGE_KEY, method);
+  } catch (error) {
+    console.warn('BOPIS: Unable to persist fulfillment method', error);
+  }
+
+  await saveFulfillmentMethodToCart(method).catch((error) =>
+    console.error('BOPIS: Failed to save fulfillment method to cart:', error)
+  );
+
+  publish(PUB_SUB_EVENTS.fulfillmentMethodChange, { source, method });
+  return method;
+}
+
+// Keeps the line item property inputs of a product form in step with the shopper's
+// choice, so the line it adds remembers how it's received. Without a method (or a
+// store to pick up from) the inputs are disabled and the line follows the cart.
+// `_fulfillment` is `pick_up` or `shipping`, the same values as the cart's method.
+// Returns a function that puts the inputs back as they were.
+function setLineFulfillmentInputs(form, method, locationId) {
+  const properties = { _fulfillment: null, _pickup_location: null };
+  if (method === 'pick_up' && locationId) {
+    properties._fulfillment = 'pick_up';
+    properties._pickup_location = locationId;
+  } else if (method && method !== 'pick_up') {
+    // Local delivery is chosen for the whole order at checkout
+    properties._fulfillment = 'shipping';
+  }
+
+  const restores = Object.entries(properties).map(([key, value]) => {
+    let input = form.querySelector(`input[name="properties[${key}]"]`);
+    const previous = input && { value: input.value, disabled: input.disabled };
+    if (!input) {
+      input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = `properties[${key}]`;
+      form.appendChild(input);
+    }
+    input.value = value || '';
+    input.disabled = !value;
+
+    return () => {
+      if (!previous) {
+        input.remove();
+        return;
+      }
+      input.value = previous.value;
+      input.disabled = previous.disabled;
+    };
+  });
+
+  return () => restores.forEach((restore) => restore());
+}
+
+// Whether an Ajax cart line (from cart.js) is picked up: by its own properties, or
+// by following a cart that's set to pickup at the preferred store
+function isPickupCartLine(item) {
+  const fulfillment = item.properties && item.properties._fulfillment;
+  if (fulfillment) return fulfillment === 'pick_up';
+
+  return item.requires_shipping && Boolean(getPreferredStore()) && [null, 'pick_up'].includes(getFulfillmentMethod());
+}
+
+function saveFulfillmentMethodToCart(method) {
+  const body = JSON.stringify({ attributes: { [BOPIS_FULFILLMENT_ATTRIBUTE]: method } });
+
+  return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then((response) => {
+    if (!response.ok) throw new Error(`Cart update failed: ${response.status}`);
+  });
+}
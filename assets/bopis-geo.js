@@ -0,0 +1,99 @@
+// Distance helpers and geocoders for the BOPIS "find stores near me" search.
+//
+// A geocoder is any object with `geocode(query, countryCode)` returning a promise
+// for `{ latitude, longitude }` (or null when the query is unknown). `countryCode`
+// is the storefront's ISO country, e.g. 'US', when Shopify knows it. Assign one to
+// `window.bopisGeocoder` before the selector initializes to use a real
+// geocoding service; otherwise the static postcode table is used.
+const BOPIS_EARTH_RADIUS_KM = 6371;
+const BOPIS_KM_PER_MILE = 1.609344;
+
+function bopisHaversineDistance(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return 2 * BOPIS_EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function bopisConvertDistance(kilometers, unit) {
+  return unit === 'mi' ? kilometers / BOPIS_KM_PER_MILE : kilometers;
+}
+
+function bopisGetCurrentPosition(timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported by this browser'));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+      reject,
+      { timeout, maximumAge: 300000 }
+    );
+  });
+}
+
+// Looks postcodes up in a JSON table of centroids keyed by country:
+// { "US": { "10001": [40.7506, -73.9972], "100": [...] }, "GB": { "SW1A": [...] } }.
+// Unknown full postcodes fall back to their longest known prefix, so outward codes
+// ("SW1A") or 3-digit zip prefixes ("100") are enough for rough sorting. Prefixes
+// only match within the shopper's country, so "M1" in Toronto is never Manchester.
+class BopisStaticGeocoder {
+  constructor(url) {
+    this.url = url;
+    this.table = null;
+  }
+
+  async geocode(query, countryCode) {
+    const table = await this.loadTable();
+    const postcode = this.normalize(query);
+
+    // Without a known country only exact postcodes are trusted
+    if (!countryCode || !table[countryCode]) {
+      const centroid = Object.values(table).map((postcodes) => postcodes[postcode]).find(Boolean);
+      return centroid ? { latitude: centroid[0], longitude: centroid[1] } : null;
+    }
+
+    for (let length = postcode.length; length > 1; length--) {
+      const centroid = table[countryCode][postcode.slice(0, length)];
+      if (centroid) return { latitude: centroid[0], longitude: centroid[1] };
+    }
+
+    return null;
+  }
+
+  normalize(query) {
+    return String(query).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  async loadTable() {
+    if (!this.table) {
+      this.table = fetch(this.url)
+        .then((response) => {
+          if (!response.ok) throw new Error('Unable to load postcode table');
+          return response.json();
+        })
+        .then((table) =>
+          Object.entries(table).reduce((countries, [countryCode, postcodes]) => {
+            countries[countryCode.toUpperCase()] = Object.entries(postcodes).reduce((normalized, [postcode, centroid]) => {
+              normalized[this.normalize(postcode)] = centroid;
+              return normalized;
+            }, {});
+            return countries;
+          }, {})
+        )
+        .catch((error) => {
+          this.table = null;
+          throw error;
+        });
+    }
+
+    return this.table;
+  }
+}
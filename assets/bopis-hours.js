@@ -0,0 +1,103 @@
+// Opening hours for BOPIS location cards.
+//
+// Hours come from the `bopis.hours` JSON location metafield:
+//   {
+//     "timezone": "America/New_York",
+//     "monday": "09:00-17:00",
+//     "saturday": "10:00-13:00, 14:00-16:00",
+//     "sunday": null
+//   }
+// Days that are missing, null or empty are closed. A range that ends at or before
+// it starts (e.g. "22:00-02:00") runs past midnight.
+const BOPIS_WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const BOPIS_MINUTES_PER_DAY = 24 * 60;
+
+function bopisParseStoreHours(value) {
+  let hours;
+  try {
+    hours = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    console.warn('BOPIS: Ignoring invalid store hours metafield', value);
+    return null;
+  }
+  if (!hours || typeof hours !== 'object') return null;
+
+  const days = BOPIS_WEEKDAYS.map((day) =>
+    String(hours[day] || '')
+      .split(',')
+      .map((range) => range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/))
+      .filter(Boolean)
+      .map(([, openHour, openMinute, closeHour, closeMinute]) => {
+        const opens = parseInt(openHour) * 60 + parseInt(openMinute);
+        const closes = parseInt(closeHour) * 60 + parseInt(closeMinute);
+        return { opens, closes: closes <= opens ? closes + BOPIS_MINUTES_PER_DAY : closes };
+      })
+  );
+
+  return { timezone: hours.timezone || null, days };
+}
+
+// Weekday index (0 = Monday) and minutes since midnight in the store's timezone
+function bopisZonedTime(date, timezone) {
+  const options = { weekday: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined }).formatToParts(date);
+  } catch (error) {
+    // Unknown timezone: fall back to the shopper's own clock
+    parts = new Intl.DateTimeFormat('en-US', options).formatToParts(date);
+  }
+
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return {
+    weekday: BOPIS_WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: (parseInt(part('hour')) % 24) * 60 + parseInt(part('minute'))
+  };
+}
+
+// Returns { open, closesAt } while open, or { open, opensAt, opensInDays, opensWeekday }
+// while closed (opensAt is null when the store has no hours at all). Times are
+// minutes since midnight on the day they fall.
+function bopisGetStoreStatus(hours, date = new Date()) {
+  const { weekday, minutes } = bopisZonedTime(date, hours.timezone);
+  const yesterday = hours.days[(weekday + 6) % 7];
+
+  // Still inside a range that started yesterday and runs past midnight
+  const overnight = yesterday.find((range) => minutes + BOPIS_MINUTES_PER_DAY < range.closes);
+  if (overnight) return { open: true, closesAt: overnight.closes - BOPIS_MINUTES_PER_DAY };
+
+  const current = hours.days[weekday].find((range) => minutes >= range.opens && minutes < range.closes);
+  if (current) return { open: true, closesAt: current.closes % BOPIS_MINUTES_PER_DAY };
+
+  for (let offset = 0; offset < 7; offset++) {
+    const next = hours.days[(weekday + offset) % 7].find((range) => offset > 0 || range.opens > minutes);
+    if (next) return { open: false, opensAt: next.opens, opensInDays: offset, opensWeekday: (weekday + offset) % 7 };
+  }
+
+  return { open: false, opensAt: null, opensInDays: null, opensWeekday: null };
+}
+
+function bopisGetTodayHours(hours, date = new Date()) {
+  return hours.days[bopisZonedTime(date, hours.timezone).weekday];
+}
+
+function bopisFormatTime(minutes) {
+  const date = new Date(Date.UTC(2024, 0, 1, 0, minutes % BOPIS_MINUTES_PER_DAY));
+  return date.toLocaleTimeString(document.documentElement.lang || undefined, {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'UTC'
+  });
+}
+
+function bopisFormatRanges(ranges) {
+  return ranges.map((range) => `${bopisFormatTime(range.opens)} – ${bopisFormatTime(range.closes)}`).join(', ');
+}
+
+// Localized weekday name; 1 January 2024 was a Monday
+function bopisFormatWeekday(index) {
+  return new Date(Date.UTC(2024, 0, 1 + index)).toLocaleDateString(document.documentElement.lang || undefined, {
+    weekday: 'long',
+    timeZone: 'UTC'
+  });
+}
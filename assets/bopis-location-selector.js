@@ -1,3 +1,91 @@
+// Configured by the block's "Pickup mode" setting:
+// - preferred_store: only sets the pickup store on the cart
+// - add_to_cart: adds the current variant and sets the pickup store (default)
+// - product_form: sets the pickup store, then submits the regular product form
+const BOPIS_PICKUP_MODES = ['preferred_store', 'add_to_cart', 'product_form'];
+const BOPIS_SEARCH_RADII = [5, 10, 25, 50, 100];
+const BOPIS_LOCATIONS_PAGE_SIZE = 50;
+
+// Locations rarely change, so they're shared across selectors and page views;
+// stock is only shared between selectors on the same page for a short time
+const BOPIS_LOCATIONS_CACHE = { ttl: 5 * 60 * 1000, staleWhileRevalidate: 60 * 60 * 1000, persist: true };
+const BOPIS_AVAILABILITY_CACHE = { ttl: 30 * 1000, staleWhileRevalidate: 0 };
+
+function bopisEscapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (character) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[character]);
+}
+
+// Patches `parent` in place so its children match `nextParent`, reusing existing
+// nodes wherever possible. Elements with a `data-key` are matched by key, so
+// reordered cards keep their identity (and keyboard focus).
+function bopisPatchChildren(parent, nextParent) {
+  const nextChildren = Array.from(nextParent.childNodes);
+  const keyed = new Map();
+  Array.from(parent.children).forEach((child) => {
+    if (child.dataset.key) keyed.set(child.dataset.key, child);
+  });
+
+  nextChildren.forEach((next, index) => {
+    let current = parent.childNodes[index];
+    const key = next.nodeType === Node.ELEMENT_NODE && next.dataset.key;
+
+    if (key && keyed.has(key)) {
+      const match = keyed.get(key);
+      if (match !== current) parent.insertBefore(match, current || null);
+      current = match;
+    }
+
+    if (current && bopisIsSameNode(current, next)) {
+      bopisPatchNode(current, next);
+    } else {
+      parent.insertBefore(next, current || null);
+    }
+  });
+
+  while (parent.childNodes.length > nextChildren.length) {
+    parent.lastChild.remove();
+  }
+}
+
+function bopisIsSameNode(current, next) {
+  if (current.nodeType !== next.nodeType) return false;
+  if (current.nodeType !== Node.ELEMENT_NODE) return true;
+  return current.tagName === next.tagName && current.dataset.key === next.dataset.key;
+}
+
+function bopisPatchNode(current, next) {
+  if (current.nodeType !== Node.ELEMENT_NODE) {
+    if (current.nodeValue !== next.nodeValue) current.nodeValue = next.nodeValue;
+    return;
+  }
+
+  Array.from(current.attributes).forEach(({ name }) => {
+    if (!next.hasAttribute(name)) current.removeAttribute(name);
+  });
+  Array.from(next.attributes).forEach(({ name, value }) => {
+    if (current.getAttribute(name) !== value) current.setAttribute(name, value);
+  });
+
+  bopisPatchChildren(current, next);
+
+  // Form controls keep their own value once edited; only overwrite it when the
+  // shopper isn't typing in the field
+  if (current.tagName === 'INPUT' && current !== current.getRootNode().activeElement) {
+    const value = next.getAttribute('value') || '';
+    if (current.value !== value) current.value = value;
+  } else if (current.tagName === 'SELECT') {
+    const selectedOption = next.querySelector('option[selected]');
+    const value = selectedOption ? selectedOption.value : '';
+    if (current.value !== value) current.value = value;
+  }
+}
+
 if (!customElements.get('bopis-location-selector')) {
   customElements.define('bopis-location-selector', class BopisLocationSelector extends HTMLElement {
     constructor() {
@@ -7,513 +95,1246 @@ if (!customElements.get('bopis-location-selector')) {
         selectedLocation: null,
         loading: false,
         error: null,
-        cartId: null
+        cartId: null,
+        variantId: null,
+        availability: null,
+        origin: null,
+        radius: null,
+        pageInfo: null,
+        loadingMore: false,
+        filter: '',
+        postcode: '',
+        searching: false,
+        searchError: null,
+        success: null,
+        pendingLocationId: null,
+        diagnostic: null,
+        expandedHours: [],
+        view: 'list',
+        activeLocationId: null,
+        announcement: '',
+        slotDetails: null,
+        slotDate: null,
+        pickupSlot: null,
+        slotsLoading: false,
+        slotPending: false,
+        slotError: null
       };
+      this.renderScheduled = false;
 
       this.attachShadow({ mode: 'open' });
+
+      // Events are delegated from the shadow root so they survive re-renders
+      this.shadowRoot.addEventListener('click', this.onClick.bind(this));
+      this.shadowRoot.addEventListener('keydown', this.onKeyDown.bind(this));
+      this.shadowRoot.addEventListener('input', this.onInput.bind(this));
+      this.shadowRoot.addEventListener('change', this.onChange.bind(this));
+      this.shadowRoot.addEventListener('submit', this.onSubmit.bind(this));
+      // toggle doesn't bubble, so listen in the capture phase
+      this.shadowRoot.addEventListener('toggle', this.onToggle.bind(this), true);
+      this.shadowRoot.addEventListener('focusin', this.onFocusIn.bind(this));
     }
 
-    async connectedCallback() {
-      // Load React and ReactDOM from CDN if not already loaded
-      await this.loadReact();
+    cartUpdateUnsubscriber = undefined;
+    variantChangeUnsubscriber = undefined;
+    preferredStoreChangeUnsubscriber = undefined;
 
-      // Initialize the component
+    connectedCallback() {
       this.initialize();
     }
 
-    async loadReact() {
-      if (window.React && window.ReactDOM) {
-        return;
+    disconnectedCallback() {
+      if (this.cartUpdateUnsubscriber) {
+        this.cartUpdateUnsubscriber();
+      }
+      if (this.variantChangeUnsubscriber) {
+        this.variantChangeUnsubscriber();
+      }
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
       }
 
-      return new Promise((resolve, reject) => {
-        const reactScript = document.createElement('script');
-        reactScript.src = 'https://unpkg.com/react@18/umd/react.production.min.js';
-        reactScript.crossOrigin = 'anonymous';
+      this.cartUpdateUnsubscriber = undefined;
+      this.variantChangeUnsubscriber = undefined;
+      this.preferredStoreChangeUnsubscriber = undefined;
 
-        const reactDomScript = document.createElement('script');
-        reactDomScript.src = 'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js';
-        reactDomScript.crossOrigin = 'anonymous';
+      // Cancel location and stock requests that are still in flight
+      this.abortController?.abort();
+      this.availabilityController?.abort();
 
-        reactScript.onload = () => {
-          reactDomScript.onload = resolve;
-          reactDomScript.onerror = reject;
-          document.head.appendChild(reactDomScript);
-        };
+      clearInterval(this.clockInterval);
+    }
+
+    // Merges a partial update into the state and patches the DOM once per
+    // microtask, so consecutive updates produce a single render
+    setState(partialState) {
+      Object.assign(this.state, partialState);
 
-        reactScript.onerror = reject;
-        document.head.appendChild(reactScript);
+      if (this.renderScheduled) return;
+      this.renderScheduled = true;
+      queueMicrotask(() => {
+        this.renderScheduled = false;
+        if (this.isConnected) this.render();
       });
     }
 
     async initialize() {
-      const storefrontAccessToken = this.dataset.storefrontToken;
-      const shopDomain = this.dataset.shopDomain;
-
-      if (!storefrontAccessToken || !shopDomain) {
-        this.state.error = 'Configuration error: Missing Storefront API credentials';
-        console.error('BOPIS: Missing required attributes (data-storefront-token or data-shop-domain)');
-        this.render();
+      const settings = window.storefrontSettings || {};
+      const storefrontAccessToken = settings.accessToken;
+      const shopDomain = StorefrontClient.normalizeShopDomain(settings.shopDomain);
+      const apiVersion = settings.apiVersion || STOREFRONT_API_DEFAULT_VERSION;
+
+      const configurationProblems = this.getConfigurationProblems(storefrontAccessToken, shopDomain, apiVersion);
+      if (configurationProblems.length > 0) {
+        console.error('BOPIS: Invalid Storefront API settings:', configurationProblems.join(' '));
+        this.setState({
+          error: bopisString('configurationError'),
+          diagnostic: this.isDesignMode() ? configurationProblems : null
+        });
         return;
       }
 
-      this.storefrontClient = new StorefrontClient(storefrontAccessToken, shopDomain);
+      this.storefrontClient = StorefrontClient.fromSettings();
+      this.abortController = new AbortController();
+      this.geocoder = window.bopisGeocoder || new BopisStaticGeocoder(this.dataset.postcodesUrl);
+      this.cartManager = BopisCartManager.shared(this.storefrontClient);
+      this.cartSync = BopisCartSync.shared(this.cartManager);
+
+      this.mapProvider = window.bopisMapProvider || (this.dataset.mapTileUrl
+        ? new BopisTileMap(this.dataset.mapTileUrl, this.dataset.mapAttribution)
+        : new BopisSvgMap());
 
       // Show initial loading state
-      this.state.loading = true;
-      this.render();
+      this.setState({
+        loading: true,
+        announcement: bopisString('loadingStores'),
+        radius: parseInt(this.dataset.searchRadius || '0') || null,
+        view: this.dataset.defaultView === 'map' ? 'map' : 'list'
+      });
 
       try {
-        // Get AJAX cart token and convert to Storefront API format
-        await this.fetchCartIdFromAjax();
+        // Load (or create) the Storefront API cart that pickup preferences are written to
+        await this.fetchCart();
 
-        // Fetch pickup locations
-        await this.fetchPickupLocations();
+        // Fetch pickup locations and the selected variant's stock at each of them
+        await Promise.all([
+          this.fetchPickupLocations(),
+          this.fetchStoreAvailability(this.getProductForm()?.querySelector('[name="id"]')?.value)
+        ]);
+
+        // Removed from the page while loading: don't leave subscriptions behind
+        if (!this.isConnected) return;
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.source === 'product-form') this.onProductFormAdd();
+        });
+
+        this.applyPreferredStore(getPreferredStore());
+        this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, (event) => {
+          this.applyPreferredStore(event.store);
+        });
+
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+          if (event.data.sectionId !== this.dataset.sectionId) return;
+          this.fetchStoreAvailability(event.data.variant.id);
+        });
+
+        // Keep "Open now" badges current while the page stays open
+        clearInterval(this.clockInterval);
+        this.clockInterval = setInterval(() => this.setState({}), 60 * 1000);
       } catch (error) {
         console.error('BOPIS initialization failed:', error);
-        this.state.error = error.message || 'Failed to initialize pickup selector';
+        this.setState({
+          error: error.message || bopisString('initializeError'),
+          diagnostic: this.isDesignMode() ? this.getRequestDiagnostic(error.cause || error) : null
+        });
       } finally {
-        this.state.loading = false;
-        this.render();
+        this.setState({
+          loading: false,
+          announcement: this.state.error ? '' : bopisString('storesFound', { number: this.state.locations.length })
+        });
       }
     }
 
-    async fetchCartIdFromAjax() {
+    async fetchCart() {
       try {
-        // Get the AJAX cart
-        const ajaxCartResponse = await fetch('/cart.js');
-        const ajaxCart = await ajaxCartResponse.json();
+        // Reconciles the Storefront cart with the Ajax cart, then keeps it in sync on every cartUpdate
+        const cart = await this.cartSync.start();
+        this.setState({ cartId: cart.id });
+      } catch (error) {
+        console.error('BOPIS: Failed to load Storefront cart:', error);
+        throw new Error(bopisString('cartError'), { cause: error });
+      }
+    }
 
-        // Get cart token from AJAX API
-        const cartToken = ajaxCart.token;
+    isDesignMode() {
+      return Boolean(window.Shopify && window.Shopify.designMode);
+    }
 
-        if (!cartToken) {
-          throw new Error('No cart token found');
-        }
+    // Merchant-facing explanations of settings that can't work, shown in the theme editor
+    getConfigurationProblems(storefrontAccessToken, shopDomain, apiVersion) {
+      const problems = [];
 
-        // Convert AJAX cart token to Storefront API cart ID format
-        // gid://shopify/Cart/{token}
-        this.state.cartId = `gid://shopify/Cart/${cartToken}`;
+      if (!storefrontAccessToken) {
+        problems.push(bopisString('setupTokenMissing'));
+      }
+      if (!shopDomain) {
+        problems.push(bopisString('setupShopDomainMissing'));
+      }
+      if (!/^(\d{4}-(01|04|07|10)|unstable)$/.test(apiVersion)) {
+        problems.push(bopisString('setupApiVersionInvalid', { version: apiVersion, example: STOREFRONT_API_DEFAULT_VERSION }));
+      }
 
-        console.log('BOPIS: Using shared cart with token:', cartToken);
-        console.log('BOPIS: Storefront API cart ID:', this.state.cartId);
-      } catch (error) {
-        console.error('BOPIS: Failed to get cart token:', error);
-        throw new Error('Unable to access cart. Please try refreshing the page.');
+      return problems;
+    }
+
+    getRequestDiagnostic(error) {
+      if (!(error instanceof StorefrontNetworkError)) return null;
+
+      if (error.status === 401 || error.status === 403) {
+        return [bopisString('setupTokenRejected'), bopisString('setupTokenScopes')];
+      }
+      if (error.status === 404) {
+        return [bopisString('setupEndpointNotFound')];
       }
+
+      return null;
     }
 
     async fetchPickupLocations() {
       try {
-        this.state.loading = true;
-        this.state.error = null;
+        this.setState({ loading: true, error: null, locations: [], pageInfo: null });
 
-        // Fetch locations using Shopify's Storefront API
-        const query = `
-          query {
-            locations(first: 20) {
-              edges {
-                node {
-                  id
-                  name
-                  address {
-                    address1
-                    address2
-                    city
-                    province
-                    country
-                    zip
-                  }
+        await this.fetchLocationsPage();
+      } catch (error) {
+        console.error('Failed to fetch pickup locations:', error);
+        this.setState({ error: bopisString('locationsError') });
+      } finally {
+        this.setState({ loading: false });
+      }
+    }
+
+    // Fetches the next page of locations after the current cursor and appends it.
+    // Load more, the filter and distance search can all ask for the next page at
+    // once; they share one request so the same page is never appended twice.
+    fetchLocationsPage() {
+      if (!this.pendingLocationsPage) {
+        this.pendingLocationsPage = this.requestLocationsPage().finally(() => {
+          this.pendingLocationsPage = null;
+        });
+      }
+
+      return this.pendingLocationsPage;
+    }
+
+    async requestLocationsPage() {
+      const query = `
+        query bopisLocations($first: Int!, $after: String) {
+          locations(first: $first, after: $after) {
+            edges {
+              node {
+                id
+                name
+                address {
+                  address1
+                  address2
+                  city
+                  province
+                  country
+                  zip
+                  latitude
+                  longitude
+                  phone
+                }
+                hoursMetafield: metafield(namespace: "bopis", key: "hours") {
+                  value
                 }
               }
             }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
           }
-        `;
+        }
+      `;
 
-        const data = await this.storefrontClient.query(query);
+      const after = this.state.pageInfo ? this.state.pageInfo.endCursor : null;
+      const data = await this.storefrontClient.query(
+        query,
+        { first: BOPIS_LOCATIONS_PAGE_SIZE, after },
+        { signal: this.abortController.signal, cache: BOPIS_LOCATIONS_CACHE }
+      );
+
+      if (data.locations && data.locations.edges) {
+        this.setState({
+          locations: [
+            ...this.state.locations,
+            ...data.locations.edges.map(({ node }) => ({
+              ...node,
+              hours: node.hoursMetafield ? bopisParseStoreHours(node.hoursMetafield.value) : null
+            }))
+          ],
+          pageInfo: data.locations.pageInfo
+        });
+      }
+    }
 
-        if (data.locations && data.locations.edges) {
-          this.state.locations = data.locations.edges.map(edge => edge.node);
-        }
+    hasMoreLocations() {
+      return Boolean(this.state.pageInfo && this.state.pageInfo.hasNextPage);
+    }
+
+    async loadMoreLocations() {
+      if (this.state.loadingMore || !this.hasMoreLocations()) return;
+
+      this.setState({ loadingMore: true });
+
+      try {
+        await this.fetchLocationsPage();
       } catch (error) {
-        console.error('Failed to fetch pickup locations:', error);
-        this.state.error = 'Failed to load pickup locations';
+        console.error('BOPIS: Failed to load more locations:', error);
+        this.setState({ error: bopisString('moreLocationsError') });
       } finally {
-        this.state.loading = false;
+        this.setState({ loadingMore: false });
       }
     }
 
-    async selectLocation(location) {
-      this.state.loading = true;
-      this.state.error = null;
-      this.render();
-
-      try {
-        // Step 1: Get product variant and quantity from the product form
-        const productForm = document.querySelector('product-form form');
-        if (!productForm) {
-          throw new Error('Product form not found');
-        }
+    // Distance sorting and text filtering only make sense across every store
+    async loadAllLocations() {
+      while (this.hasMoreLocations()) {
+        await this.fetchLocationsPage();
+      }
+    }
 
-        const variantId = productForm.querySelector('[name="id"]')?.value;
-        const quantity = parseInt(productForm.querySelector('[name="quantity"]')?.value || '1');
+    setFilter(filter) {
+      this.setState({ filter });
 
-        if (!variantId) {
-          throw new Error('Please select a product variant');
-        }
+      // Filter across every store, not just the pages loaded so far
+      if (filter && this.hasMoreLocations() && !this.state.loadingMore) {
+        this.setState({ loadingMore: true });
+        this.loadAllLocations()
+          .catch((error) => console.error('BOPIS: Failed to load all locations:', error))
+          .finally(() => this.setState({ loadingMore: false }));
+      }
+    }
 
-        console.log('BOPIS: Adding product to cart - Variant:', variantId, 'Quantity:', quantity);
+    normalizeSearchText(text) {
+      return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
 
-        // Step 2: Add product to cart via AJAX API
-        const addToCartResponse = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            items: [{
-              id: variantId,
-              quantity: quantity
-            }]
-          })
-        });
+    matchesFilter(location) {
+      const filter = this.normalizeSearchText(this.state.filter);
+      if (!filter) return true;
 
-        if (!addToCartResponse.ok) {
-          throw new Error('Failed to add product to cart');
-        }
+      const { city, province, zip } = location.address;
+      return [location.name, city, province, zip].some((value) => this.normalizeSearchText(value).includes(filter));
+    }
 
-        const addToCartResult = await addToCartResponse.json();
-        console.log('BOPIS: Product added to cart:', addToCartResult);
+    async fetchStoreAvailability(variantId) {
+      if (!variantId) return;
 
-        // Step 3: Refresh cart token after adding product
-        await this.fetchCartIdFromAjax();
+      this.state.variantId = String(variantId);
 
-        // Step 4: Set pickup location on the cart
-        const pickupHandle = location.id.split('/').pop();
+      // A newer variant supersedes any request still loading
+      this.availabilityController?.abort();
+      this.availabilityController = new AbortController();
 
-        const mutation = `
-          mutation cartBuyerIdentityUpdate($cartId: ID!, $buyerIdentity: CartBuyerIdentityInput!) {
-            cartBuyerIdentityUpdate(cartId: $cartId, buyerIdentity: $buyerIdentity) {
-              cart {
-                id
-                checkoutUrl
-                buyerIdentity {
-                  email
-                  phone
-                  countryCode
-                  preferences {
-                    delivery {
-                      deliveryMethod
-                      pickupHandle
+      try {
+        const query = `
+          query bopisStoreAvailability($variantId: ID!) {
+            node(id: $variantId) {
+              ... on ProductVariant {
+                storeAvailability(first: 250) {
+                  edges {
+                    node {
+                      available
+                      pickUpTime
+                      quantityAvailable
+                      location {
+                        id
+                      }
                     }
                   }
                 }
               }
-              userErrors {
-                field
-                message
-              }
             }
           }
         `;
 
-        const variables = {
-          cartId: this.state.cartId,
-          buyerIdentity: {
-            preferences: {
-              delivery: {
-                deliveryMethod: 'PICK_UP',
-                pickupHandle: pickupHandle
+        const data = await this.storefrontClient.query(
+          query,
+          { variantId: `gid://shopify/ProductVariant/${variantId}` },
+          { signal: this.availabilityController.signal, cache: BOPIS_AVAILABILITY_CACHE }
+        );
+
+        // Ignore responses for a variant the shopper has already switched away from
+        if (this.state.variantId !== String(variantId)) return;
+
+        const edges = data.node && data.node.storeAvailability ? data.node.storeAvailability.edges : [];
+        this.setState({
+          availability: edges.reduce((availability, { node }) => {
+            availability[node.location.id] = node;
+            return availability;
+          }, {})
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        // Stock levels are a nice-to-have: keep every location selectable if they can't be loaded
+        console.error('BOPIS: Failed to fetch store availability:', error);
+        this.setState({ availability: null });
+      }
+    }
+
+    // Returns available, low_stock, unavailable, or unknown when stock could not be loaded.
+    // Locations missing from storeAvailability don't stock the variant or don't offer pickup.
+    getAvailabilityStatus(location) {
+      if (!this.state.availability) return 'unknown';
+
+      const availability = this.state.availability[location.id];
+      if (!availability || !availability.available) return 'unavailable';
+
+      const lowStockThreshold = parseInt(this.dataset.lowStockThreshold || '0');
+      if (typeof availability.quantityAvailable === 'number' && availability.quantityAvailable <= lowStockThreshold) {
+        return 'low_stock';
+      }
+
+      return 'available';
+    }
+
+    getAvailabilityLabel(status) {
+      return {
+        available: bopisString('inStock'),
+        low_stock: bopisString('lowStock'),
+        unavailable: bopisString('unavailable')
+      }[status];
+    }
+
+    async searchNearMe() {
+      await this.searchFrom(() => bopisGetCurrentPosition(), bopisString('geolocationError'));
+    }
+
+    async searchByPostcode(postcode) {
+      if (!postcode.trim()) return;
+      this.setState({ postcode });
+      await this.searchFrom(() => this.geocoder.geocode(postcode, this.dataset.countryCode), bopisString('postcodeError'));
+    }
+
+    async searchFrom(resolveOrigin, errorMessage) {
+      this.setState({ searching: true, searchError: null });
+
+      try {
+        const [origin] = await Promise.all([resolveOrigin(), this.loadAllLocations()]);
+        if (!origin) throw new Error(errorMessage);
+        this.setState({ origin });
+      } catch (error) {
+        console.error('BOPIS: Store search failed:', error);
+        this.setState({ searchError: errorMessage });
+      } finally {
+        this.setState({ searching: false });
+      }
+    }
+
+    setRadius(radius) {
+      this.setState({ radius: parseInt(radius) || null });
+    }
+
+    getDistanceUnit() {
+      return this.dataset.distanceUnit === 'mi' ? 'mi' : 'km';
+    }
+
+    // Locations matching the text filter, in API order until the shopper searches;
+    // then sorted by distance from the search origin and limited to the radius.
+    // Locations without coordinates are listed last and are never hidden by the radius.
+    getVisibleLocations() {
+      const { origin, radius } = this.state;
+      const locations = this.state.locations.filter((location) => this.matchesFilter(location));
+      if (!origin) return locations;
+
+      const unit = this.getDistanceUnit();
+
+      return locations
+        .map((location) => {
+          const { latitude, longitude } = location.address;
+          const hasCoordinates = typeof latitude === 'number' && typeof longitude === 'number';
+          const distance = hasCoordinates ? bopisConvertDistance(bopisHaversineDistance(origin, { latitude, longitude }), unit) : null;
+          return { ...location, distance };
+        })
+        .filter((location) => !radius || location.distance === null || location.distance <= radius)
+        .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    }
+
+    formatDistance(distance) {
+      return `${distance < 10 ? distance.toFixed(1) : Math.round(distance)} ${this.getDistanceUnit()}`;
+    }
+
+    // Pre-selects the shopper's preferred store. Stores beyond the loaded pages are
+    // represented by the saved store until their page is loaded.
+    applyPreferredStore(store) {
+      this.setState({
+        selectedLocation: store ? (this.state.locations.find((location) => location.id === store.id) || store) : null
+      });
+      this.loadPickupSlots();
+    }
+
+    hasPickupSlots() {
+      return this.dataset.pickupSlots === 'true';
+    }
+
+    // Hours, slot capacity and bookings of a store. Bookings change all the time,
+    // so unlike the location list this query is never cached.
+    async fetchSlotDetails(location) {
+      const query = `
+        query bopisPickupSlots($id: ID!) {
+          node(id: $id) {
+            ... on Location {
+              hoursMetafield: metafield(namespace: "bopis", key: "hours") {
+                value
+              }
+              capacityMetafield: metafield(namespace: "bopis", key: "slot_capacity") {
+                value
+              }
+              bookingsMetafield: metafield(namespace: "bopis", key: "pickup_bookings") {
+                value
               }
             }
           }
-        };
-
-        const data = await this.storefrontClient.mutate(mutation, variables);
+        }
+      `;
 
-        if (data.cartBuyerIdentityUpdate.userErrors.length > 0) {
-          throw new Error(data.cartBuyerIdentityUpdate.userErrors[0].message);
+      const data = await this.storefrontClient.query(query, { id: location.id }, { signal: this.abortController.signal });
+      const node = data.node || {};
+
+      let bookings = {};
+      if (window.bopisSlotBookings) {
+        bookings = await window.bopisSlotBookings.getBookings(location);
+      } else if (node.bookingsMetafield) {
+        try {
+          bookings = JSON.parse(node.bookingsMetafield.value);
+        } catch (error) {
+          console.warn('BOPIS: Ignoring invalid pickup bookings metafield', node.bookingsMetafield.value);
         }
+      }
+
+      return {
+        locationId: location.id,
+        hours: node.hoursMetafield ? bopisParseStoreHours(node.hoursMetafield.value) : null,
+        capacity: parseInt(node.capacityMetafield ? node.capacityMetafield.value : this.dataset.slotCapacity) || 0,
+        bookings: bookings || {}
+      };
+    }
+
+    // Details loaded for another store are kept until the selected store's arrive,
+    // but never shown or booked under its name
+    getSlotDetails() {
+      const { selectedLocation, slotDetails } = this.state;
+      return slotDetails && selectedLocation && slotDetails.locationId === selectedLocation.id ? slotDetails : null;
+    }
+
+    // Worked out on every render, so slots drop out as they pass
+    getPickupSlotDays() {
+      const slotDetails = this.getSlotDetails();
+      if (!slotDetails || !slotDetails.hours) return [];
+
+      return bopisGetPickupSlots(slotDetails.hours, {
+        days: parseInt(this.dataset.slotDays) || 7,
+        leadMinutes: (parseInt(this.dataset.leadTime) || 0) * 60,
+        slotMinutes: parseInt(this.dataset.slotLength) || 60,
+        capacity: slotDetails.capacity,
+        bookings: slotDetails.bookings
+      });
+    }
+
+    async loadPickupSlots() {
+      const location = this.state.selectedLocation;
+      if (!this.hasPickupSlots() || !location) {
+        this.setState({ slotDetails: null, slotError: null, pickupSlot: null });
+        return;
+      }
 
-        this.state.selectedLocation = location;
-        const checkoutUrl = data.cartBuyerIdentityUpdate.cart.checkoutUrl;
+      if (this.state.slotDetails?.locationId !== location.id) this.setState({ slotDetails: null, slotDate: null });
+      this.setState({ slotsLoading: true, slotError: null, pickupSlot: getPickupSlot() });
 
-        console.log('BOPIS: Product added and pickup location set for cart:', this.state.cartId);
+      try {
+        const slotDetails = await this.fetchSlotDetails(location);
+        if (this.state.selectedLocation?.id !== location.id) return;
+        this.setState({ slotDetails });
+
+        // A saved slot that has since passed or filled up is dropped
+        const pickupSlot = getPickupSlot();
+        if (pickupSlot && !bopisFindPickupSlot(this.getPickupSlotDays(), pickupSlot)) {
+          await setPickupSlot(null, 'bopis-location-selector');
+          this.setState({ pickupSlot: null, slotError: bopisString('slotExpired') });
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('BOPIS: Failed to load pickup times:', error);
+        this.setState({ slotError: bopisString('slotsLoadError') });
+      } finally {
+        if (this.state.selectedLocation?.id === location.id) this.setState({ slotsLoading: false });
+      }
+    }
 
-        // Show success message with product info
-        this.showSuccessMessage(location, checkoutUrl, addToCartResult);
+    async choosePickupSlot(pickupSlot) {
+      const location = this.state.selectedLocation;
+      if (!location || this.state.slotPending) return;
 
-        // Publish event for other components to react to
-        if (typeof publish !== 'undefined') {
-          publish(PUB_SUB_EVENTS.cartUpdate, {
-            source: 'bopis-location-selector',
-            cartId: this.state.cartId,
-            pickupLocation: location,
-            productAdded: true
-          });
+      this.setState({ slotPending: true, slotError: null });
+
+      try {
+        // The last place may have been taken since the slots were loaded
+        const slotDetails = await this.fetchSlotDetails(location);
+        this.setState({ slotDetails });
+        if (!bopisFindPickupSlot(this.getPickupSlotDays(), pickupSlot)) {
+          this.setState({ slotError: bopisString('slotUnavailable') });
+          return;
         }
 
-        // Update cart UI elements (cart count, etc.)
-        document.documentElement.dispatchEvent(new CustomEvent('cart:refresh'));
+        await setPickupSlot(pickupSlot, 'bopis-location-selector');
+        this.setState({ pickupSlot, announcement: this.getSlotLabel(pickupSlot) });
+      } catch (error) {
+        console.error('BOPIS: Failed to save pickup time:', error);
+        this.setState({ slotError: bopisString('slotSaveError') });
+      } finally {
+        this.setState({ slotPending: false });
+      }
+    }
+
+    getSlotLabel(pickupSlot) {
+      const [start, end] = pickupSlot.slot.split('-').map((time) => {
+        const [hour, minute] = time.split(':');
+        return parseInt(hour) * 60 + parseInt(minute);
+      });
+      return bopisString('slotSaved', {
+        date: bopisFormatSlotDate(pickupSlot.date),
+        time: `${bopisFormatTime(start)} – ${bopisFormatTime(end)}`
+      });
+    }
+
+    getPickupMode() {
+      const mode = this.dataset.pickupMode;
+      return BOPIS_PICKUP_MODES.includes(mode) ? mode : 'add_to_cart';
+    }
+
+    // Outside a product section (e.g. the cart pickup changer) there is no product form
+    getProductForm() {
+      if (this.dataset.sectionId) return document.getElementById(`product-form-${this.dataset.sectionId}`);
+      return document.querySelector('product-form form');
+    }
+
+    async selectLocation(location) {
+      if (this.state.pendingLocationId || this.getAvailabilityStatus(location) === 'unavailable') return;
+
+      const mode = this.getPickupMode();
+
+      // Only the chosen card shows progress, so the list (and focus) stays put
+      this.setState({ pendingLocationId: location.id, error: null, success: null, announcement: bopisString('saving') });
+
+      try {
+        if (mode === 'add_to_cart') {
+          await this.addToCartForPickup(location);
+        } else {
+          await this.setPickupLocation(location);
+          if (mode === 'product_form') this.submitProductForm();
+        }
       } catch (error) {
         console.error('Failed to update pickup location:', error);
-        this.state.error = error.message || 'Failed to set pickup location';
+        this.setState({ error: error.message || bopisString('selectError'), announcement: '' });
+      } finally {
+        this.setState({ pendingLocationId: null });
+      }
+    }
+
+    // Writes the pickup preference to the Storefront cart without touching its lines
+    async setPickupLocation(location) {
+      const pickupHandle = location.id.split('/').pop();
+
+      const cart = await this.cartManager.updateDeliveryPreference('pick_up', pickupHandle);
+
+      this.setState({
+        cartId: cart.id,
+        selectedLocation: location,
+        success: bopisString('success', { name: location.name }),
+        announcement: bopisString('success', { name: location.name })
+      });
+      setPreferredStore(location, 'bopis-location-selector');
+      setFulfillmentMethod('pick_up', 'bopis-location-selector');
+
+      return cart;
+    }
+
+    // Hands off to the regular product form so the theme's own Add to Cart flow
+    // (cart drawer / notification, error handling, quick-add) runs as usual.
+    submitProductForm() {
+      const productForm = this.getProductForm();
+      if (!productForm) {
+        throw new Error(bopisString('productFormError'));
+      }
+
+      // Only this submit is tagged: product-form.js reads the form while handling the
+      // submit event, so later Add to Cart clicks follow the fulfillment toggle again
+      const restoreInputs = setLineFulfillmentInputs(productForm, 'pick_up', this.state.selectedLocation.id.split('/').pop());
+      try {
+        productForm.requestSubmit();
       } finally {
-        this.state.loading = false;
-        this.render();
-      }
-    }
-
-    showSuccessMessage(location, checkoutUrl, cartItems) {
-      // Show a custom success message with checkout button
-      const itemCount = Array.isArray(cartItems.items) ? cartItems.items.length : (cartItems.items ? 1 : 0);
-      const itemText = itemCount === 1 ? 'item' : 'items';
-
-      const successDiv = document.createElement('div');
-      successDiv.className = 'bopis-success-overlay';
-      successDiv.innerHTML = `
-        <div class="bopis-success-modal">
-          <div class="bopis-success-content">
-            <svg class="bopis-success-icon" viewBox="0 0 24 24" width="48" height="48">
-              <circle cx="12" cy="12" r="12" fill="#4CAF50"/>
-              <path d="M9 12l2 2 4-4" stroke="white" stroke-width="2" fill="none" stroke-linecap="round"/>
-            </svg>
-            <h3>Added to Cart for Pickup!</h3>
-            <p class="bopis-success-summary">${itemCount} ${itemText} added to your cart</p>
-            <p>Ready for pickup at:</p>
-            <p class="bopis-location-name"><strong>${location.name}</strong></p>
-            <p class="bopis-location-address">${location.address.address1}<br>${location.address.city}, ${location.address.province} ${location.address.zip}</p>
-            <div class="bopis-success-actions">
-              <a href="${checkoutUrl}" class="bopis-checkout-button">Proceed to Checkout</a>
-              <button class="bopis-continue-button" onclick="this.closest('.bopis-success-overlay').remove()">Continue Shopping</button>
+        restoreInputs();
+      }
+    }
+
+    // Re-applies the chosen store after the regular Add to Cart button adds a line,
+    // in case the sync had to replace the Storefront cart. Skipped once the
+    // shopper has switched to shipping or local delivery.
+    async onProductFormAdd() {
+      if (!this.state.selectedLocation) return;
+      if (![null, 'pick_up'].includes(getFulfillmentMethod())) return;
+
+      try {
+        const cart = await this.cartSync.sync();
+        const delivery = cart.buyerIdentity && cart.buyerIdentity.preferences && cart.buyerIdentity.preferences.delivery;
+        const pickupHandle = this.state.selectedLocation.id.split('/').pop();
+
+        if (!delivery || !delivery.pickupHandle.includes(pickupHandle)) {
+          await this.setPickupLocation(this.state.selectedLocation);
+        }
+      } catch (error) {
+        console.error('BOPIS: Failed to apply pickup location after add to cart:', error);
+      }
+    }
+
+    // Adds the product the same way the product form does, asking for the cart
+    // drawer / notification sections so the theme's own confirmation opens afterwards
+    async addToCartForPickup(location) {
+      const productForm = this.getProductForm();
+      if (!productForm) {
+        throw new Error(bopisString('productFormError'));
+      }
+
+      const formData = new FormData(productForm);
+      if (!formData.get('id')) {
+        throw new Error(bopisString('variantRequired'));
+      }
+      formData.set('properties[_fulfillment]', 'pick_up');
+      formData.set('properties[_pickup_location]', location.id.split('/').pop());
+      if (window.getCurrentSellingPlanId) formData.append('selling_plan', window.getCurrentSellingPlanId());
+
+      const cartElement = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+      if (cartElement) {
+        formData.append('sections', cartElement.getSectionsToRender().map((section) => section.id));
+        formData.append('sections_url', window.location.pathname);
+        // Focus returns to the chosen store when the drawer or notification closes
+        cartElement.setActiveElement(this.shadowRoot.activeElement || document.activeElement);
+      }
+
+      const config = fetchConfig('javascript');
+      config.headers['X-Requested-With'] = 'XMLHttpRequest';
+      delete config.headers['Content-Type'];
+      config.body = formData;
+
+      const response = await fetch(`${routes.cart_add_url}`, config).then((response) => response.json());
+      if (response.status) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          source: 'bopis-location-selector',
+          productVariantId: formData.get('id'),
+          errors: response.description,
+          message: response.message
+        });
+        throw new Error(response.description || bopisString('addError'));
+      }
+
+      // Replay the new line onto the Storefront cart, then set the pickup location on it.
+      // The line is in the cart either way, so the cart UI is updated before any
+      // failure here is reported.
+      let pickupError = null;
+      try {
+        await this.cartSync.sync();
+        await this.setPickupLocation(location);
+      } catch (error) {
+        console.error('BOPIS: Added to cart but failed to set the pickup location:', error);
+        pickupError = new Error(bopisString('addedStoreError', { store: location.name }), { cause: error });
+      }
+
+      publish(PUB_SUB_EVENTS.cartUpdate, {
+        source: 'bopis-location-selector',
+        productVariantId: formData.get('id'),
+        cartId: this.state.cartId,
+        pickupLocation: location,
+        productAdded: true
+      });
+
+      if (!cartElement) {
+        window.location = window.routes.cart_url;
+        return;
+      }
+
+      cartElement.classList.remove('is-empty');
+      const quickAddModal = this.closest('quick-add-modal');
+      if (quickAddModal) {
+        document.body.addEventListener('modalClosed', () => {
+          setTimeout(() => { cartElement.renderContents(response) });
+        }, { once: true });
+        quickAddModal.hide(true);
+      } else {
+        cartElement.renderContents(response);
+      }
+
+      if (pickupError) throw pickupError;
+    }
+
+    render() {
+      // The stylesheet and root are created once; later renders only patch the root
+      if (!this.root) {
+        this.shadowRoot.innerHTML = `<style>${this.getStyles()}</style><div class="bopis-root"></div>`;
+        this.root = this.shadowRoot.querySelector('.bopis-root');
+      }
+
+      const previouslyFocused = this.shadowRoot.activeElement;
+      const focusKey = previouslyFocused && previouslyFocused.dataset.focusKey;
+
+      const template = document.createElement('template');
+      template.innerHTML = this.renderContainer().trim();
+      bopisPatchChildren(this.root, template.content);
+
+      // Patching keeps focused nodes in place; if the focused control was
+      // replaced (e.g. the load more button re-appearing), focus its successor
+      if (focusKey && !this.shadowRoot.activeElement) {
+        this.shadowRoot.querySelector(`[data-focus-key="${CSS.escape(focusKey)}"]`)?.focus();
+      }
+    }
+
+    renderContainer() {
+      const { loading, error, success, diagnostic } = this.state;
+      const locations = this.getVisibleLocations();
+
+      return `
+        <div class="bopis-container">
+          <h3 class="bopis-title" id="BopisTitle">${bopisEscapeHTML(bopisString('title'))}</h3>
+          <p class="bopis-subtitle">${bopisEscapeHTML(this.getSubtitle())}</p>
+          ${diagnostic ? `
+            <div class="bopis-diagnostic" role="alert">
+              <strong>${bopisEscapeHTML(bopisString('setupTitle'))}</strong>
+              <ul>${diagnostic.map((message) => `<li>${bopisEscapeHTML(message)}</li>`).join('')}</ul>
             </div>
+          ` : ''}
+          ${error ? `
+            <div class="bopis-error" role="alert">
+              <svg class="icon-error" viewBox="0 0 13 13" width="13" height="13" aria-hidden="true" focusable="false">
+                <circle cx="6.5" cy="6.5" r="5.5" fill="#EB001B"></circle>
+              </svg>
+              <span>${bopisEscapeHTML(error)}</span>
+            </div>
+          ` : ''}
+          ${success && !error ? `<p class="bopis-success">${bopisEscapeHTML(success)}</p>` : ''}
+          ${!loading && this.hasPickupSlots() && this.state.selectedLocation ? this.renderPickupSlots() : ''}
+          ${!loading && this.state.locations.length > 0 ? this.renderSearch() : ''}
+          ${!loading && this.state.locations.length > 0 ? this.renderViewToggle() : ''}
+          ${!loading && this.state.view === 'map' ? this.renderMap(locations) : ''}
+          ${loading ? `
+            <div class="bopis-loading">
+              <div class="spinner"></div>
+              <span>${bopisEscapeHTML(bopisString('loading'))}</span>
+            </div>
+          ` : this.renderLocations(locations)}
+          ${!loading && this.hasMoreLocations() ? `
+            <button class="bopis-load-more" type="button" data-action="load-more" data-focus-key="load-more"${this.state.loadingMore ? ' disabled' : ''}>
+              ${bopisEscapeHTML(bopisString(this.state.loadingMore ? 'loading' : 'loadMore'))}
+            </button>
+          ` : ''}
+          <p class="bopis-visually-hidden" role="status" aria-live="polite">${bopisEscapeHTML(this.state.announcement)}</p>
+        </div>
+      `;
+    }
+
+    renderPickupSlots() {
+      const { selectedLocation, slotsLoading, slotError, slotPending, pickupSlot } = this.state;
+      const slotDetails = this.getSlotDetails();
+      const days = this.getPickupSlotDays();
+      const savedSlot = pickupSlot && bopisFindPickupSlot(days, pickupSlot) ? pickupSlot : null;
+      const date = [this.state.slotDate, savedSlot?.date].find((value) => days.some((day) => day.date === value)) || days[0]?.date;
+      const day = days.find((entry) => entry.date === date);
+
+      let content = '';
+      if (!slotDetails) {
+        content = slotsLoading || this.state.slotDetails ? `<p class="bopis-slots-status">${bopisEscapeHTML(bopisString('loading'))}</p>` : '';
+      } else if (!day) {
+        content = `<p class="bopis-slots-status">${bopisEscapeHTML(bopisString('slotsEmpty', { number: parseInt(this.dataset.slotDays) || 7 }))}</p>`;
+      } else {
+        content = `
+          <label class="bopis-slots-date">
+            <span>${bopisEscapeHTML(bopisString('slotDate'))}</span>
+            <select data-action="slot-date" data-focus-key="slot-date">
+              ${days.map((entry) => `<option value="${entry.date}"${entry.date === date ? ' selected' : ''}>${bopisEscapeHTML(bopisFormatSlotDate(entry.date))}</option>`).join('')}
+            </select>
+          </label>
+          <div class="bopis-slots-times" role="group" aria-label="${bopisEscapeHTML(bopisString('slotTimes', { date: bopisFormatSlotDate(date) }))}">
+            ${day.slots.map((slot) => {
+              const isSelected = savedSlot && savedSlot.date === date && savedSlot.slot === slot.value;
+              const status = slot.full ? bopisString('slotFull') : (slot.remaining !== null ? bopisString('slotRemaining', { number: slot.remaining }) : '');
+
+              return `
+                <button
+                  type="button"
+                  class="bopis-slot"
+                  data-action="pickup-slot"
+                  data-date="${date}"
+                  data-slot="${slot.value}"
+                  data-focus-key="slot-${date}-${slot.value}"
+                  aria-pressed="${Boolean(isSelected)}"
+                  ${slot.full ? 'disabled' : ''}
+                >
+                  <span>${bopisEscapeHTML(`${bopisFormatTime(slot.start)} – ${bopisFormatTime(slot.end)}`)}</span>
+                  ${status ? `<span class="bopis-slot-status">${bopisEscapeHTML(status)}</span>` : ''}
+                </button>
+              `;
+            }).join('')}
           </div>
+        `;
+      }
+
+      return `
+        <section class="bopis-slots" aria-labelledby="BopisSlotsTitle"${slotPending ? ' aria-busy="true"' : ''}>
+          <h4 class="bopis-slots-title" id="BopisSlotsTitle">${bopisEscapeHTML(bopisString('slotsTitle'))}</h4>
+          <p class="bopis-slots-status">${bopisEscapeHTML(bopisString('slotsStore', { store: selectedLocation.name }))}</p>
+          ${slotError ? `<p class="bopis-slots-error" role="alert">${bopisEscapeHTML(slotError)}</p>` : ''}
+          ${savedSlot ? `<p class="bopis-slots-saved">✓ ${bopisEscapeHTML(this.getSlotLabel(savedSlot))}</p>` : ''}
+          ${content}
+        </section>
+      `;
+    }
+
+    renderViewToggle() {
+      const { view } = this.state;
+
+      return `
+        <div class="bopis-view-toggle" role="group" aria-label="${bopisEscapeHTML(bopisString('viewLabel'))}">
+          <button type="button" data-action="view" data-view="list" data-focus-key="view-list" aria-pressed="${view === 'list'}">
+            ${bopisEscapeHTML(bopisString('listView'))}
+          </button>
+          <button type="button" data-action="view" data-view="map" data-focus-key="view-map" aria-pressed="${view === 'map'}">
+            ${bopisEscapeHTML(bopisString('mapView'))}
+          </button>
         </div>
       `;
+    }
 
-      // Add styles for the modal
-      const style = document.createElement('style');
-      style.textContent = `
-        .bopis-success-overlay {
-          position: fixed;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          background: rgba(0, 0, 0, 0.6);
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          z-index: 10000;
-          animation: fadeIn 0.2s ease-in;
-        }
+    // The map is a pointer shortcut; the list below it stays the accessible way to choose
+    renderMap(locations) {
+      const plotted = locations.filter(bopisHasCoordinates);
+      const unplotted = locations.length - plotted.length;
+      if (plotted.length === 0) {
+        return `<p class="bopis-map-empty">${bopisEscapeHTML(bopisString('mapEmpty'))}</p>`;
+      }
 
-        @keyframes fadeIn {
-          from { opacity: 0; }
-          to { opacity: 1; }
-        }
+      return `
+        <div class="bopis-map">
+          ${this.mapProvider.render(plotted, {
+            selectedId: this.state.selectedLocation?.id,
+            origin: this.state.origin,
+            width: 600,
+            height: 360,
+            originLabel: bopisString('searchLocation')
+          })}
+        </div>
+        ${unplotted > 0 ? `<p class="bopis-map-empty">${bopisEscapeHTML(bopisString('mapUnplotted', { number: unplotted }))}</p>` : ''}
+      `;
+    }
 
-        .bopis-success-modal {
-          background: white;
-          border-radius: 12px;
-          padding: 32px;
-          max-width: 500px;
-          margin: 20px;
-          box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2);
-          animation: slideUp 0.3s ease-out;
-        }
+    renderLocations(locations) {
+      if (locations.length === 0) {
+        return `<p class="bopis-no-locations">${bopisEscapeHTML(this.getEmptyMessage())}</p>`;
+      }
 
-        @keyframes slideUp {
-          from {
-            transform: translateY(20px);
-            opacity: 0;
-          }
-          to {
-            transform: translateY(0);
-            opacity: 1;
-          }
-        }
+      // Roving tabindex: only one store is in the tab order, arrow keys move between them
+      const { activeLocationId, selectedLocation } = this.state;
+      const tabbableId = [activeLocationId, selectedLocation?.id].find((id) => locations.some((location) => location.id === id)) || locations[0].id;
 
-        .bopis-success-content {
-          text-align: center;
-        }
+      return `
+        <div class="bopis-locations" role="radiogroup" aria-labelledby="BopisTitle">
+          ${locations.map((location) => this.renderLocation(location, location.id === tabbableId)).join('')}
+        </div>
+      `;
+    }
 
-        .bopis-success-icon {
-          margin-bottom: 16px;
-        }
+    renderLocation(location, tabbable) {
+      const { selectedLocation, pendingLocationId } = this.state;
+      const { address } = location;
+      const isSelected = selectedLocation?.id === location.id;
+      const isPending = pendingLocationId === location.id;
+      const status = this.getAvailabilityStatus(location);
+      const availability = this.state.availability && this.state.availability[location.id];
+      const classes = [
+        'bopis-location',
+        isSelected ? 'selected' : '',
+        isPending ? 'loading' : '',
+        status === 'unavailable' ? 'disabled' : ''
+      ].filter(Boolean).join(' ');
+
+      // The radio holds the store details; phone and hours are links and
+      // disclosures of their own, so they sit next to it rather than inside it
+      return `
+        <div class="${classes}" data-location-id="${bopisEscapeHTML(location.id)}" data-key="${bopisEscapeHTML(location.id)}">
+          <div
+            class="bopis-location-option"
+            role="radio"
+            tabindex="${tabbable ? 0 : -1}"
+            aria-checked="${isSelected}"
+            data-action="select-location"
+            data-location-id="${bopisEscapeHTML(location.id)}"
+            data-focus-key="${bopisEscapeHTML(location.id)}"
+            ${status === 'unavailable' ? 'aria-disabled="true"' : ''}
+            ${isPending ? 'aria-busy="true"' : ''}
+          >
+            <div class="bopis-location-content">
+              <div class="bopis-location-header">
+                <strong class="bopis-location-name">${bopisEscapeHTML(location.name)}</strong>
+                ${typeof location.distance === 'number' ? `<span class="bopis-distance">${this.formatDistance(location.distance)}</span>` : ''}
+                ${isSelected ? `<span class="bopis-selected-badge" aria-hidden="true">✓ ${bopisEscapeHTML(bopisString('selected'))}</span>` : ''}
+              </div>
+              <div class="bopis-location-address">
+                <div>${bopisEscapeHTML(address.address1)}</div>
+                ${address.address2 ? `<div>${bopisEscapeHTML(address.address2)}</div>` : ''}
+                <div>${bopisEscapeHTML(`${address.city}, ${address.province} ${address.zip}`)}</div>
+                <div>${bopisEscapeHTML(address.country)}</div>
+              </div>
+              ${status !== 'unknown' ? `
+                <div class="bopis-availability bopis-availability--${status}">
+                  <span class="bopis-availability-status">${bopisEscapeHTML(this.getAvailabilityLabel(status))}</span>
+                  ${status !== 'unavailable' && availability.pickUpTime ? `<span class="bopis-pickup-time">${bopisEscapeHTML(availability.pickUpTime)}</span>` : ''}
+                </div>
+              ` : ''}
+            </div>
+            ${status !== 'unavailable' ? `<span class="bopis-location-hint" aria-hidden="true">${bopisEscapeHTML(this.getHint())}</span>` : ''}
+          </div>
+          ${address.phone ? `
+            <a class="bopis-phone" href="tel:${bopisEscapeHTML(address.phone.replace(/[^\d+]/g, ''))}">${bopisEscapeHTML(address.phone)}</a>
+          ` : ''}
+          ${location.hours ? this.renderHours(location) : ''}
+        </div>
+      `;
+    }
 
-        .bopis-success-content h3 {
-          margin: 0 0 12px;
-          font-size: 24px;
-          color: #333;
-        }
+    renderHours(location) {
+      const { hours } = location;
+      const status = bopisGetStoreStatus(hours);
+      const today = bopisGetTodayHours(hours);
+      const expanded = this.state.expandedHours.includes(location.id);
 
-        .bopis-success-content p {
-          margin: 8px 0;
-          color: #666;
-          line-height: 1.5;
-        }
+      return `
+        <div class="bopis-hours">
+          <div class="bopis-hours-today">
+            <span class="bopis-open-badge bopis-open-badge--${status.open ? 'open' : 'closed'}">
+              ${bopisEscapeHTML(bopisString(status.open ? 'openNow' : 'closed'))}
+            </span>
+            <span>${bopisEscapeHTML(this.getOpeningMessage(status))}</span>
+          </div>
+          <div class="bopis-hours-today">
+            ${bopisEscapeHTML(bopisString('today', { hours: today.length > 0 ? bopisFormatRanges(today) : bopisString('closed') }))}
+          </div>
+          <details class="bopis-hours-week" data-location-id="${bopisEscapeHTML(location.id)}"${expanded ? ' open' : ''}>
+            <summary>${bopisEscapeHTML(bopisString('weeklyHours'))}</summary>
+            <table>
+              ${hours.days.map((ranges, index) => `
+                <tr>
+                  <th scope="row">${bopisFormatWeekday(index)}</th>
+                  <td>${ranges.length > 0 ? bopisFormatRanges(ranges) : bopisEscapeHTML(bopisString('closed'))}</td>
+                </tr>
+              `).join('')}
+            </table>
+          </details>
+        </div>
+      `;
+    }
 
-        .bopis-success-summary {
-          font-size: 16px;
-          color: #4CAF50;
-          font-weight: 600;
-          margin: 12px 0 16px;
-        }
+    getOpeningMessage(status) {
+      if (status.open) return bopisString('closesAt', { time: bopisFormatTime(status.closesAt) });
+      if (status.opensAt === null) return '';
+      if (status.opensInDays === 0) return bopisString('opensAt', { time: bopisFormatTime(status.opensAt) });
+      if (status.opensInDays === 1) return bopisString('opensTomorrow', { time: bopisFormatTime(status.opensAt) });
+      return bopisString('opensOn', { day: bopisFormatWeekday(status.opensWeekday), time: bopisFormatTime(status.opensAt) });
+    }
 
-        .bopis-location-name {
-          font-size: 18px;
-          color: #333;
-          margin: 16px 0 8px;
-        }
+    renderSearch() {
+      const { searching, searchError, radius } = this.state;
+      const unit = this.getDistanceUnit();
 
-        .bopis-location-address {
-          font-size: 14px;
-          color: #666;
-          margin-bottom: 16px;
-        }
+      const total = this.state.locations.length;
+      const visible = this.getVisibleLocations().length;
 
-        .bopis-checkout-note {
-          font-size: 13px;
-          color: #888;
-          margin-bottom: 24px;
-          font-style: italic;
-        }
+      return `
+        <div class="bopis-search">
+          <input
+            class="bopis-filter-input"
+            type="search"
+            data-action="filter"
+            data-focus-key="filter"
+            placeholder="${bopisEscapeHTML(bopisString('filterPlaceholder'))}"
+            aria-label="${bopisEscapeHTML(bopisString('filterLabel'))}"
+            value="${bopisEscapeHTML(this.state.filter)}"
+          >
+          <p class="bopis-search-status" role="status">${this.state.filter ? bopisEscapeHTML(bopisString('filterStatus', { visible, total })) : ''}</p>
+          <form class="bopis-search-form" data-action="search-postcode">
+            <input
+              class="bopis-search-input"
+              type="text"
+              name="postcode"
+              data-focus-key="postcode"
+              autocomplete="postal-code"
+              placeholder="${bopisEscapeHTML(bopisString('postcode'))}"
+              aria-label="${bopisEscapeHTML(bopisString('postcode'))}"
+              value="${bopisEscapeHTML(this.state.postcode)}"
+            >
+            <button class="bopis-search-button" type="submit" data-focus-key="search"${searching ? ' disabled' : ''}>
+              ${bopisEscapeHTML(bopisString('search'))}
+            </button>
+            <button class="bopis-search-button bopis-near-me-button" type="button" data-action="near-me" data-focus-key="near-me"${searching ? ' disabled' : ''}>
+              ${bopisEscapeHTML(bopisString('useMyLocation'))}
+            </button>
+          </form>
+          <label class="bopis-radius">
+            <span>${bopisEscapeHTML(bopisString('within'))}</span>
+            <select data-action="radius" data-focus-key="radius">
+              <option value=""${!radius ? ' selected' : ''}>${bopisEscapeHTML(bopisString('anyDistance'))}</option>
+              ${BOPIS_SEARCH_RADII.map((option) => `<option value="${option}"${radius === option ? ' selected' : ''}>${option} ${unit}</option>`).join('')}
+            </select>
+          </label>
+          ${searching ? `<p class="bopis-search-status">${bopisEscapeHTML(bopisString('searching'))}</p>` : ''}
+          ${searchError ? `<p class="bopis-search-status bopis-search-error">${bopisEscapeHTML(searchError)}</p>` : ''}
+        </div>
+      `;
+    }
 
-        .bopis-success-actions {
-          display: flex;
-          flex-direction: column;
-          gap: 12px;
-          margin-top: 24px;
-        }
+    getEmptyMessage() {
+      if (this.state.filter) return bopisString('noMatches');
+      if (this.state.origin) return bopisString('noneWithinDistance');
+      return bopisString('noneAvailable');
+    }
 
-        .bopis-checkout-button {
-          display: inline-block;
-          padding: 14px 28px;
-          background: #2c6ecb;
-          color: white;
-          text-decoration: none;
-          border-radius: 6px;
-          font-weight: 600;
-          font-size: 16px;
-          transition: background 0.2s;
-        }
+    findLocation(locationId) {
+      return this.getVisibleLocations().find((location) => location.id === locationId);
+    }
 
-        .bopis-checkout-button:hover {
-          background: #1e5ab5;
-        }
+    onClick(event) {
+      // Phone links and the weekly hours toggle inside a card don't select it
+      if (event.target.closest('a, details')) return;
 
-        .bopis-continue-button {
-          padding: 12px 28px;
-          background: transparent;
-          color: #666;
-          border: 1px solid #ddd;
-          border-radius: 6px;
-          font-size: 14px;
-          cursor: pointer;
-          transition: all 0.2s;
-        }
+      const target = event.target.closest('[data-action]');
+      if (!target) return;
 
-        .bopis-continue-button:hover {
-          background: #f5f5f5;
-          border-color: #999;
+      switch (target.dataset.action) {
+        case 'select-location': {
+          const location = this.findLocation(target.dataset.locationId);
+          if (!location) break;
+
+          // A marker click brings the matching card into view, then behaves like a card click
+          if (target.closest('.bopis-map')) {
+            this.shadowRoot
+              .querySelector(`.bopis-location[data-location-id="${CSS.escape(location.id)}"]`)
+              ?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+          }
+          this.selectLocation(location);
+          break;
         }
-      `;
+        case 'load-more':
+          this.loadMoreLocations();
+          break;
+        case 'near-me':
+          this.searchNearMe();
+          break;
+        case 'view':
+          this.setState({ view: target.dataset.view });
+          break;
+        case 'pickup-slot':
+          this.choosePickupSlot({ date: target.dataset.date, slot: target.dataset.slot });
+          break;
+      }
+    }
 
-      document.head.appendChild(style);
-      document.body.appendChild(successDiv);
+    // Enter/Space choose the focused store. Arrow keys only move focus, since
+    // choosing a store can add to the cart; ArrowDown from the filter field enters the list
+    onKeyDown(event) {
+      const target = event.target;
 
-      // Auto-remove after 30 seconds if user doesn't interact
-      setTimeout(() => {
-        if (successDiv.parentNode) {
-          successDiv.remove();
-        }
-      }, 30000);
+      if (target.dataset.action === 'filter') {
+        if (event.key !== 'ArrowDown') return;
+        event.preventDefault();
+        this.shadowRoot.querySelector('.bopis-location-option[tabindex="0"]')?.focus();
+        return;
+      }
+
+      if (target.dataset.action !== 'select-location') return;
+
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        const location = this.findLocation(target.dataset.locationId);
+        if (location) this.selectLocation(location);
+        return;
+      }
+
+      if (target.closest('.bopis-map')) return;
+
+      const cards = Array.from(this.shadowRoot.querySelectorAll('.bopis-location-option'));
+      const index = cards.indexOf(target);
+      const targets = {
+        ArrowDown: index + 1,
+        ArrowRight: index + 1,
+        ArrowUp: index - 1,
+        ArrowLeft: index - 1,
+        Home: 0,
+        End: cards.length - 1
+      };
+      if (!(event.key in targets)) return;
+
+      const nextCard = cards[targets[event.key]];
+      event.preventDefault();
+      if (nextCard) {
+        nextCard.focus();
+      } else if (event.key === 'ArrowUp' && index === 0) {
+        this.shadowRoot.querySelector('.bopis-filter-input')?.focus();
+      }
     }
 
-    render() {
-      const React = window.React;
-      const ReactDOM = window.ReactDOM;
+    // Keeps the roving tabindex on the store that last had focus
+    onFocusIn(event) {
+      if (!event.target.matches('.bopis-location-option')) return;
+
+      this.state.activeLocationId = event.target.dataset.locationId;
+      this.shadowRoot.querySelectorAll('.bopis-location-option').forEach((option) => {
+        option.setAttribute('tabindex', option === event.target ? '0' : '-1');
+      });
+    }
+
+    onToggle(event) {
+      if (!event.target.matches('.bopis-hours-week')) return;
+
+      const locationId = event.target.dataset.locationId;
+      const expandedHours = this.state.expandedHours.filter((id) => id !== locationId);
+      if (event.target.open) expandedHours.push(locationId);
+
+      // Record the state without re-rendering so the next patch keeps it
+      this.state.expandedHours = expandedHours;
+    }
+
+    onInput(event) {
+      if (event.target.dataset.action === 'filter') this.setFilter(event.target.value);
+    }
+
+    onChange(event) {
+      if (event.target.dataset.action === 'radius') this.setRadius(event.target.value);
+      if (event.target.dataset.action === 'slot-date') this.setState({ slotDate: event.target.value });
+    }
+
+    onSubmit(event) {
+      if (event.target.dataset.action !== 'search-postcode') return;
 
-      if (!React || !ReactDOM) {
-        console.error('React not loaded');
-        return;
-      }
+      event.preventDefault();
+      this.searchByPostcode(event.target.elements.postcode.value);
+    }
 
-      const { createElement: h } = React;
-
-      // Create container for styles
-      const styleSheet = document.createElement('style');
-      styleSheet.textContent = this.getStyles();
-
-      // Clear shadow root
-      this.shadowRoot.innerHTML = '';
-      this.shadowRoot.appendChild(styleSheet);
-
-      // Create container for React app
-      const container = document.createElement('div');
-      this.shadowRoot.appendChild(container);
-
-      // React Component
-      const BopisLocationSelectorUI = () => {
-        const { locations, selectedLocation, loading, error } = this.state;
-
-        return h('div', { className: 'bopis-container' },
-          h('h3', { className: 'bopis-title' }, 'Buy Online, Pick Up In-Store'),
-          h('p', { className: 'bopis-subtitle' }, 'Select a location below to add this item to your cart for pickup'),
-
-          error && h('div', { className: 'bopis-error' },
-            h('svg', {
-              className: 'icon-error',
-              viewBox: '0 0 13 13',
-              width: '13',
-              height: '13'
-            },
-              h('circle', { cx: '6.5', cy: '6.5', r: '5.5', fill: '#EB001B' })
-            ),
-            h('span', null, error)
-          ),
-
-          loading ? h('div', { className: 'bopis-loading' },
-            h('div', { className: 'spinner' }),
-            h('span', null, 'Loading...')
-          ) : (
-            locations.length === 0 ?
-              h('p', { className: 'bopis-no-locations' },
-                'No pickup locations available'
-              ) :
-              h('div', { className: 'bopis-locations' },
-                locations.map((location) =>
-                  h('div', {
-                    key: location.id,
-                    className: `bopis-location ${selectedLocation?.id === location.id ? 'selected' : ''}`,
-                    onClick: () => this.selectLocation(location)
-                  },
-                    h('div', { className: 'bopis-location-content' },
-                      h('div', { className: 'bopis-location-header' },
-                        h('strong', { className: 'bopis-location-name' }, location.name),
-                        selectedLocation?.id === location.id &&
-                          h('span', { className: 'bopis-selected-badge' }, '✓ Selected')
-                      ),
-                      h('div', { className: 'bopis-location-address' },
-                        h('div', null, location.address.address1),
-                        location.address.address2 && h('div', null, location.address.address2),
-                        h('div', null,
-                          `${location.address.city}, ${location.address.province} ${location.address.zip}`
-                        ),
-                        h('div', null, location.address.country)
-                      )
-                    )
-                  )
-                )
-              )
-          )
-        );
-      };
+    getSubtitle() {
+      return bopisString(this.getPickupMode() === 'preferred_store' ? 'subtitlePreferredStore' : 'subtitleAddToCart');
+    }
 
-      // Render React component
-      const root = ReactDOM.createRoot(container);
-      root.render(h(BopisLocationSelectorUI));
+    getHint() {
+      return bopisString(this.getPickupMode() === 'preferred_store' ? 'hintPreferredStore' : 'hintAddToCart');
     }
 
     getStyles() {
@@ -551,6 +1372,31 @@ if (!customElements.get('bopis-location-selector')) {
           margin-bottom: 16px;
         }
 
+        .bopis-diagnostic {
+          padding: 12px;
+          margin-bottom: 16px;
+          background: #fff8e5;
+          border: 1px solid #f0d48a;
+          border-radius: 4px;
+          color: #5c4400;
+          font-size: 14px;
+        }
+
+        .bopis-diagnostic ul {
+          margin: 8px 0 0;
+          padding-left: 20px;
+        }
+
+        .bopis-success {
+          padding: 12px;
+          margin: 0 0 16px;
+          background: #f0f7ff;
+          border: 1px solid #c7dcf5;
+          border-radius: 4px;
+          color: #1e5ab5;
+          font-size: 14px;
+        }
+
         .bopis-loading {
           display: flex;
           align-items: center;
@@ -579,10 +1425,242 @@ if (!customElements.get('bopis-location-selector')) {
           padding: 20px;
         }
 
+        .bopis-slots {
+          margin-bottom: 16px;
+          padding: 12px 16px;
+          border: 1px solid #e5e5e5;
+          border-radius: 6px;
+        }
+
+        .bopis-slots[aria-busy="true"] .bopis-slots-times {
+          opacity: 0.6;
+        }
+
+        .bopis-slots-title {
+          margin: 0 0 4px;
+          font-size: 16px;
+        }
+
+        .bopis-slots-status {
+          margin: 0 0 8px;
+          font-size: 14px;
+          color: #666;
+        }
+
+        .bopis-slots-error {
+          margin: 0 0 8px;
+          font-size: 14px;
+          color: #c00;
+        }
+
+        .bopis-slots-saved {
+          margin: 0 0 8px;
+          font-size: 14px;
+          color: #2e7d32;
+        }
+
+        .bopis-slots-date {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 8px;
+          font-size: 14px;
+        }
+
+        .bopis-slots-times {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(130px, 1fr));
+          gap: 8px;
+        }
+
+        .bopis-slot {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          padding: 8px 12px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          background: #fff;
+          font: inherit;
+          font-size: 14px;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .bopis-slot[aria-pressed="true"] {
+          border-color: #000;
+          background: #000;
+          color: #fff;
+        }
+
+        .bopis-slot:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .bopis-slot-status {
+          font-size: 12px;
+        }
+
+        .bopis-view-toggle {
+          display: inline-flex;
+          margin-bottom: 12px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .bopis-view-toggle button {
+          padding: 6px 16px;
+          border: none;
+          background: #fff;
+          font: inherit;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .bopis-view-toggle button[aria-pressed="true"] {
+          background: #000;
+          color: #fff;
+        }
+
+        .bopis-map {
+          position: relative;
+          margin-bottom: 12px;
+          border: 1px solid #e5e5e5;
+          border-radius: 6px;
+          overflow: hidden;
+        }
+
+        .bopis-map-svg {
+          display: block;
+          width: 100%;
+          height: auto;
+        }
+
+        .bopis-map-background {
+          fill: #eef2f5;
+        }
+
+        .bopis-map-svg .bopis-map-marker {
+          cursor: pointer;
+          fill: #fff;
+          stroke: #000;
+          stroke-width: 3;
+        }
+
+        .bopis-map-svg .bopis-map-marker.selected {
+          fill: #000;
+        }
+
+        .bopis-map-svg .bopis-map-origin {
+          fill: #1e5ab5;
+          stroke: #fff;
+          stroke-width: 2;
+        }
+
+        .bopis-map-tiles {
+          position: relative;
+          aspect-ratio: 600 / 360;
+          overflow: hidden;
+          background: #eef2f5;
+        }
+
+        .bopis-map-tile {
+          position: absolute;
+          max-width: none;
+        }
+
+        .bopis-map-pin {
+          position: absolute;
+          width: 14px;
+          height: 14px;
+          margin: -7px 0 0 -7px;
+          border: 3px solid #000;
+          border-radius: 50%;
+          background: #fff;
+          box-sizing: border-box;
+          cursor: pointer;
+        }
+
+        .bopis-map-pin.selected {
+          width: 20px;
+          height: 20px;
+          margin: -10px 0 0 -10px;
+          background: #000;
+        }
+
+        .bopis-map-pin.bopis-map-origin {
+          border-color: #fff;
+          background: #1e5ab5;
+          cursor: default;
+        }
+
+        .bopis-map-attribution {
+          margin: 0;
+          padding: 2px 6px;
+          font-size: 11px;
+          color: #666;
+          text-align: right;
+        }
+
+        .bopis-map-empty {
+          margin: 0 0 12px;
+          font-size: 13px;
+          color: #666;
+        }
+
         .bopis-locations {
           display: flex;
           flex-direction: column;
           gap: 12px;
+          max-height: 480px;
+          overflow-y: auto;
+          padding: 4px;
+        }
+
+        .bopis-location-option {
+          border-radius: 4px;
+        }
+
+        .bopis-location-option:focus-visible {
+          outline: 2px solid #2c6ecb;
+          outline-offset: 2px;
+        }
+
+        .bopis-location > .bopis-phone,
+        .bopis-location > .bopis-hours {
+          margin-top: 8px;
+        }
+
+        .bopis-visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          margin: -1px;
+          padding: 0;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          border: 0;
+          word-wrap: normal;
+        }
+
+        .bopis-load-more {
+          display: block;
+          width: 100%;
+          margin-top: 12px;
+          padding: 10px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          background: transparent;
+          color: #333;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .bopis-load-more:disabled {
+          opacity: 0.6;
+          cursor: default;
         }
 
         .bopis-location {
@@ -594,8 +1672,7 @@ if (!customElements.get('bopis-location-selector')) {
           position: relative;
         }
 
-        .bopis-location::after {
-          content: '👆 Click to add to cart';
+        .bopis-location-hint {
           position: absolute;
           bottom: 10px;
           right: 12px;
@@ -613,7 +1690,12 @@ if (!customElements.get('bopis-location-selector')) {
           box-shadow: 0 4px 12px rgba(0,0,0,0.1);
         }
 
-        .bopis-location:hover::after {
+        .bopis-location-hint::before {
+          content: '👆 ';
+        }
+
+        .bopis-location:hover .bopis-location-hint,
+        .bopis-location-option:focus-visible .bopis-location-hint {
           opacity: 1;
         }
 
@@ -622,6 +1704,23 @@ if (!customElements.get('bopis-location-selector')) {
           background: #f0f7ff;
         }
 
+        .bopis-location.loading {
+          cursor: progress;
+          opacity: 0.6;
+        }
+
+        .bopis-location.disabled {
+          cursor: not-allowed;
+          opacity: 0.6;
+        }
+
+        .bopis-location.disabled:hover {
+          border-color: #e5e5e5;
+          background: #fff;
+          transform: none;
+          box-shadow: none;
+        }
+
         .bopis-location-content {
           display: flex;
           flex-direction: column;
@@ -654,46 +1753,159 @@ if (!customElements.get('bopis-location-selector')) {
           color: #666;
           line-height: 1.5;
         }
-      `;
-    }
-  });
-}
 
-// Storefront API Client
-class StorefrontClient {
-  constructor(accessToken, shopDomain) {
-    this.accessToken = accessToken;
-    this.endpoint = `https://${shopDomain}/api/2024-01/graphql.json`;
-  }
+        .bopis-search {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-bottom: 16px;
+        }
 
-  async query(query, variables = {}) {
-    return this.request(query, variables);
-  }
+        .bopis-filter-input {
+          padding: 8px 12px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          font-size: 14px;
+        }
 
-  async mutate(mutation, variables = {}) {
-    return this.request(mutation, variables);
-  }
+        .bopis-search-form {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
 
-  async request(query, variables) {
-    const response = await fetch(this.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Storefront-Access-Token': this.accessToken
-      },
-      body: JSON.stringify({ query, variables })
-    });
+        .bopis-search-input {
+          flex: 1 1 140px;
+          padding: 8px 12px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          font-size: 14px;
+        }
 
-    if (!response.ok) {
-      throw new Error(`Storefront API error: ${response.statusText}`);
-    }
+        .bopis-search-button {
+          padding: 8px 14px;
+          border: 1px solid #2c6ecb;
+          border-radius: 4px;
+          background: #2c6ecb;
+          color: #fff;
+          font-size: 14px;
+          cursor: pointer;
+        }
 
-    const { data, errors } = await response.json();
+        .bopis-near-me-button {
+          background: transparent;
+          color: #2c6ecb;
+        }
 
-    if (errors) {
-      throw new Error(errors[0].message);
-    }
+        .bopis-search-button:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
 
-    return data;
-  }
+        .bopis-radius {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+          color: #666;
+        }
+
+        .bopis-search-status {
+          margin: 0;
+          font-size: 13px;
+          color: #666;
+        }
+
+        .bopis-search-error {
+          color: #c00;
+        }
+
+        .bopis-distance {
+          font-size: 13px;
+          color: #666;
+          white-space: nowrap;
+        }
+
+        .bopis-availability {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+          font-size: 13px;
+        }
+
+        .bopis-availability-status {
+          font-weight: 600;
+        }
+
+        .bopis-availability--available .bopis-availability-status {
+          color: #2e7d32;
+        }
+
+        .bopis-availability--low_stock .bopis-availability-status {
+          color: #b26a00;
+        }
+
+        .bopis-availability--unavailable .bopis-availability-status {
+          color: #c00;
+        }
+
+        .bopis-pickup-time {
+          color: #666;
+        }
+
+        .bopis-phone {
+          align-self: flex-start;
+          color: inherit;
+          font-size: 14px;
+        }
+
+        .bopis-hours {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          color: #666;
+        }
+
+        .bopis-hours-today {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .bopis-open-badge {
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .bopis-open-badge--open {
+          background: #e6f4ea;
+          color: #1e7e34;
+        }
+
+        .bopis-open-badge--closed {
+          background: #f2f2f2;
+          color: #666;
+        }
+
+        .bopis-hours-week summary {
+          cursor: pointer;
+        }
+
+        .bopis-hours-week table {
+          margin-top: 4px;
+          border-collapse: collapse;
+        }
+
+        .bopis-hours-week th {
+          padding-right: 16px;
+          font-weight: normal;
+          text-align: left;
+        }
+      `;
+    }
+  });
 }
@@ -0,0 +1,185 @@
+// Map view for the BOPIS selector.
+//
+// A map provider is any object with `render(locations, options)` returning the
+// map's markup, where options are `{ selectedId, origin, width, height, originLabel }`. Markers
+// must carry `data-action="select-location"` and `data-location-id` so a marker
+// click is handled exactly like a card click. Assign a provider to
+// `window.bopisMapProvider` to replace the built-in ones.
+//
+// Built in:
+// - BopisTileMap draws raster tiles from a `{z}/{x}/{y}` URL template (the block's
+//   "Map tile URL" setting), e.g. https://tile.openstreetmap.org/{z}/{x}/{y}.png
+// - BopisSvgMap needs no network at all: it projects the stores onto a plain SVG,
+//   used when no tile URL is configured
+const BOPIS_TILE_SIZE = 256;
+const BOPIS_MAP_MAX_ZOOM = 16;
+const BOPIS_MAP_PADDING = 32;
+
+// Web Mercator: world pixel coordinates at the given zoom level
+function bopisProjectMercator({ latitude, longitude }, zoom) {
+  const scale = BOPIS_TILE_SIZE * 2 ** zoom;
+  const sinLatitude = Math.min(Math.max(Math.sin((latitude * Math.PI) / 180), -0.9999), 0.9999);
+
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI)) * scale
+  };
+}
+
+function bopisHasCoordinates(location) {
+  const { latitude, longitude } = location.address || {};
+  return typeof latitude === 'number' && typeof longitude === 'number';
+}
+
+// The points to fit: every plotted store, plus the search origin when there is one
+function bopisMapPoints(locations, origin) {
+  const points = locations.map((location) => location.address);
+  return origin ? [...points, origin] : points;
+}
+
+// Highest zoom at which every point fits inside the padded viewport
+function bopisFitZoom(points, width, height) {
+  for (let zoom = BOPIS_MAP_MAX_ZOOM; zoom > 0; zoom--) {
+    const projected = points.map((point) => bopisProjectMercator(point, zoom));
+    const xs = projected.map((point) => point.x);
+    const ys = projected.map((point) => point.y);
+
+    if (
+      Math.max(...xs) - Math.min(...xs) <= width - BOPIS_MAP_PADDING * 2 &&
+      Math.max(...ys) - Math.min(...ys) <= height - BOPIS_MAP_PADDING * 2
+    ) {
+      return zoom;
+    }
+  }
+
+  return 0;
+}
+
+// Projects points into a width × height viewport centred on their bounds
+function bopisMapViewport(points, width, height) {
+  const zoom = bopisFitZoom(points, width, height);
+  const projected = points.map((point) => bopisProjectMercator(point, zoom));
+  const xs = projected.map((point) => point.x);
+  const ys = projected.map((point) => point.y);
+
+  return {
+    zoom,
+    left: (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2,
+    top: (Math.min(...ys) + Math.max(...ys)) / 2 - height / 2
+  };
+}
+
+function bopisMapPosition(point, viewport) {
+  const { x, y } = bopisProjectMercator(point, viewport.zoom);
+  return { x: x - viewport.left, y: y - viewport.top };
+}
+
+class BopisSvgMap {
+  render(locations, { selectedId, origin, width, height, originLabel = '' }) {
+    const viewport = bopisMapViewport(bopisMapPoints(locations, origin), width, height);
+
+    const markers = locations.map((location) => {
+      const { x, y } = bopisMapPosition(location.address, viewport);
+      const selected = location.id === selectedId;
+
+      return `
+        <g
+          class="bopis-map-marker${selected ? ' selected' : ''}"
+          data-action="select-location"
+          data-location-id="${bopisEscapeHTML(location.id)}"
+          data-key="${bopisEscapeHTML(location.id)}"
+          transform="translate(${x.toFixed(1)} ${y.toFixed(1)})"
+        >
+          <title>${bopisEscapeHTML(location.name)}</title>
+          <circle r="${selected ? 10 : 7}"></circle>
+        </g>
+      `;
+    });
+
+    const originMarker = origin ? (() => {
+      const { x, y } = bopisMapPosition(origin, viewport);
+      return `<circle class="bopis-map-origin" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="5"><title>${bopisEscapeHTML(originLabel)}</title></circle>`;
+    })() : '';
+
+    return `
+      <svg class="bopis-map-svg" viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false">
+        <rect class="bopis-map-background" width="${width}" height="${height}"></rect>
+        ${originMarker}
+        ${markers.join('')}
+      </svg>
+    `;
+  }
+}
+
+class BopisTileMap {
+  constructor(urlTemplate, attribution = '') {
+    this.urlTemplate = urlTemplate;
+    this.attribution = attribution;
+  }
+
+  getTileUrl(x, y, zoom) {
+    const tiles = 2 ** zoom;
+    return this.urlTemplate
+      .replace('{z}', zoom)
+      .replace('{x}', ((x % tiles) + tiles) % tiles)
+      .replace('{y}', y);
+  }
+
+  render(locations, { selectedId, origin, width, height, originLabel = '' }) {
+    const viewport = bopisMapViewport(bopisMapPoints(locations, origin), width, height);
+    const percent = (value, total) => `${((value / total) * 100).toFixed(3)}%`;
+    const size = `width: ${percent(BOPIS_TILE_SIZE, width)}; height: ${percent(BOPIS_TILE_SIZE, height)}`;
+
+    const tiles = [];
+    const firstX = Math.floor(viewport.left / BOPIS_TILE_SIZE);
+    const firstY = Math.max(0, Math.floor(viewport.top / BOPIS_TILE_SIZE));
+    const lastX = Math.floor((viewport.left + width) / BOPIS_TILE_SIZE);
+    const lastY = Math.min(2 ** viewport.zoom - 1, Math.floor((viewport.top + height) / BOPIS_TILE_SIZE));
+
+    for (let y = firstY; y <= lastY; y++) {
+      for (let x = firstX; x <= lastX; x++) {
+        const left = x * BOPIS_TILE_SIZE - viewport.left;
+        const top = y * BOPIS_TILE_SIZE - viewport.top;
+        tiles.push(`
+          <img
+            class="bopis-map-tile"
+            src="${bopisEscapeHTML(this.getTileUrl(x, y, viewport.zoom))}"
+            alt=""
+            loading="lazy"
+            style="left: ${percent(left, width)}; top: ${percent(top, height)}; ${size}"
+          >
+        `);
+      }
+    }
+
+    const markers = locations.map((location) => {
+      const { x, y } = bopisMapPosition(location.address, viewport);
+      const selected = location.id === selectedId;
+
+      return `
+        <span
+          class="bopis-map-marker bopis-map-pin${selected ? ' selected' : ''}"
+          data-action="select-location"
+          data-location-id="${bopisEscapeHTML(location.id)}"
+          data-key="${bopisEscapeHTML(location.id)}"
+          title="${bopisEscapeHTML(location.name)}"
+          style="left: ${percent(x, width)}; top: ${percent(y, height)}"
+        ></span>
+      `;
+    });
+
+    const originMarker = origin ? (() => {
+      const { x, y } = bopisMapPosition(origin, viewport);
+      return `<span class="bopis-map-pin bopis-map-origin" title="${bopisEscapeHTML(originLabel)}" style="left: ${percent(x, width)}; top: ${percent(y, height)}"></span>`;
+    })() : '';
+
+    return `
+      <div class="bopis-map-tiles" aria-hidden="true">
+        ${tiles.join('')}
+        ${originMarker}
+        ${markers.join('')}
+      </div>
+      ${this.attribution ? `<p class="bopis-map-attribution">${bopisEscapeHTML(this.attribution)}</p>` : ''}
+    `;
+  }
+}
@@ -0,0 +1,182 @@
+// "In stock at {preferred store}" pill for the collection and search filters.
+//
+// Shopify's filters have no store availability, so this one runs in the browser
+// on the products of the current page. It registers with FacetFiltersForm as a
+// client filter: `pickup=1` is kept in the URL and history next to the regular
+// filter parameters, and the grid is filtered after every render.
+if (!customElements.get('pickup-facet') && typeof FacetFiltersForm !== 'undefined') {
+  class PickupFacet extends HTMLElement {
+    static param = 'pickup';
+    static batchSize = 10;
+    static requests = new Map();
+    static storefrontClient = null;
+    static renderQueued = false;
+
+    // Limits keep the query within the Storefront API's complexity limit
+    static query = `
+      query bopisPickupFilter($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            variants(first: 50) {
+              edges {
+                node {
+                  storeAvailability(first: 100) {
+                    edges {
+                      node {
+                        available
+                        location {
+                          id
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    static isActive() {
+      return new URLSearchParams(FacetFiltersForm.searchParamsPrev).get(PickupFacet.param) === '1';
+    }
+
+    // Resolves to a Set of the location ids that have any variant of each product in stock
+    static loadAvailability(productIds) {
+      const missing = productIds.filter((id) => !PickupFacet.requests.has(id));
+
+      for (let index = 0; index < missing.length; index += PickupFacet.batchSize) {
+        const batch = missing.slice(index, index + PickupFacet.batchSize);
+        const ids = batch.map((id) => `gid://shopify/Product/${id}`);
+        const request = PickupFacet.storefrontClient
+          .query(PickupFacet.query, { ids }, { cache: { ttl: 60 * 1000, staleWhileRevalidate: 5 * 60 * 1000 } })
+          .then((data) => data.nodes.map((node) => {
+            const locations = new Set();
+            (node ? node.variants.edges : []).forEach(({ node: variant }) => {
+              variant.storeAvailability.edges.forEach(({ node: availability }) => {
+                if (availability.available) locations.add(availability.location.id);
+              });
+            });
+            return locations;
+          }));
+
+        batch.forEach((id, position) => {
+          PickupFacet.requests.set(id, request.then((results) => results[position]).catch((error) => {
+            PickupFacet.requests.delete(id);
+            throw error;
+          }));
+        });
+      }
+
+      return Promise.all(productIds.map((id) => PickupFacet.requests.get(id)));
+    }
+
+    // Pills connecting and FacetFiltersForm re-rendering in the same task share one render
+    static requestRender() {
+      if (PickupFacet.renderQueued) return;
+
+      PickupFacet.renderQueued = true;
+      queueMicrotask(() => {
+        PickupFacet.renderQueued = false;
+        PickupFacet.render();
+      });
+    }
+
+    static async render() {
+      const grid = document.getElementById('product-grid');
+      const items = grid ? Array.from(grid.querySelectorAll('[data-product-id]')) : [];
+      const facets = document.querySelectorAll('pickup-facet');
+      const store = getPreferredStore();
+
+      if (!store || items.length === 0) {
+        facets.forEach((facet) => (facet.hidden = true));
+        return;
+      }
+
+      let locations;
+      try {
+        locations = await PickupFacet.loadAvailability(items.map((item) => item.dataset.productId));
+      } catch (error) {
+        console.error('BOPIS: Failed to load pickup availability for the filter:', error);
+        facets.forEach((facet) => (facet.hidden = true));
+        return;
+      }
+
+      // The grid was rendered again while loading; that render takes over
+      if (!grid.isConnected) return;
+
+      const available = items.filter((item, index) => locations[index].has(store.id));
+      const active = PickupFacet.isActive();
+      facets.forEach((facet) => facet.renderButton(store, available.length, active));
+      if (!active) return;
+
+      items.forEach((item) => (item.hidden = !available.includes(item)));
+      PickupFacet.renderProductCount(store, available.length, items.length);
+      grid.parentElement.querySelector('.pickup-facet__empty')?.remove();
+      if (available.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'pickup-facet__empty title-wrapper center';
+        empty.textContent = bopisString('pickupFilterEmpty', { store: store.name });
+        grid.after(empty);
+      }
+    }
+
+    // Shown under the collection total rather than in its place, as it only counts this page
+    static renderProductCount(store, count, total) {
+      const text = bopisString('pickupFilterProductCount', { count, total, store: store.name });
+      ['ProductCount', 'ProductCountDesktop'].forEach((id) => {
+        const container = document.getElementById(id);
+        if (!container) return;
+
+        let pageCount = container.querySelector('.pickup-facet__product-count');
+        if (!pageCount) {
+          pageCount = document.createElement('span');
+          pageCount.className = 'pickup-facet__product-count';
+          container.appendChild(pageCount);
+        }
+        pageCount.textContent = text;
+      });
+    }
+
+    constructor() {
+      super();
+
+      this.button = this.querySelector('button');
+      this.button.addEventListener('click', this.onClick.bind(this));
+    }
+
+    connectedCallback() {
+      if (!PickupFacet.storefrontClient) PickupFacet.storefrontClient = StorefrontClient.fromSettings();
+
+      PickupFacet.requestRender();
+    }
+
+    // Goes through renderPage like every other filter, so it lands in the history
+    onClick() {
+      const params = new URLSearchParams(FacetFiltersForm.searchParamsPrev);
+      if (PickupFacet.isActive()) {
+        params.delete(PickupFacet.param);
+      } else {
+        params.set(PickupFacet.param, '1');
+      }
+
+      FacetFiltersForm.renderPage(params.toString());
+    }
+
+    renderButton(store, count, active) {
+      this.querySelector('.pickup-facet__label').textContent = bopisString('pickupFilterLabel', { store: store.name });
+      this.querySelector('.pickup-facet__count').textContent = `(${count})`;
+      this.button.setAttribute('aria-pressed', active);
+      this.hidden = false;
+    }
+  }
+
+  customElements.define('pickup-facet', PickupFacet);
+  FacetFiltersForm.registerClientFilter({ param: PickupFacet.param, render: PickupFacet.requestRender });
+
+  // The grid is rendered again from the cache so the previous store's filtering is undone
+  subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => {
+    FacetFiltersForm.renderPage(FacetFiltersForm.searchParamsPrev, null, false);
+  });
+}
@@ -0,0 +1,131 @@
+if (!customElements.get('bopis-pickup-person')) {
+  customElements.define('bopis-pickup-person', class BopisPickupPerson extends HTMLElement {
+    // Plain attribute names so they read well on the order in the admin
+    static cartAttributes = {
+      name: 'Pickup person',
+      phone: 'Pickup person phone',
+      vehicle: 'Curbside vehicle',
+      bay: 'Curbside parking bay'
+    };
+
+    constructor() {
+      super();
+
+      this.form = this.querySelector('form');
+      this.checkboxInput = this.querySelector(`#${this.dataset.id}-PickupPerson-Checkbox`);
+      this.fields = this.querySelector('.bopis-pickup-person__fields');
+      this.nameInput = this.querySelector(`#${this.dataset.id}-PickupPerson-name`);
+      this.phoneInput = this.querySelector(`#${this.dataset.id}-PickupPerson-phone`);
+      this.vehicleInput = this.querySelector(`#${this.dataset.id}-PickupPerson-vehicle`);
+      this.bayInput = this.querySelector(`#${this.dataset.id}-PickupPerson-bay`);
+      this.status = this.querySelector('.bopis-pickup-person__status');
+      this.formErrors = new BopisFormErrors(
+        this.querySelector('.bopis-pickup-person__error-message-wrapper'),
+        Object.fromEntries(
+          Object.keys(BopisPickupPerson.cartAttributes).map((key) => [
+            key,
+            { input: this[`${key}Input`], messageId: `${this.dataset.id}-PickupPersonForm-${key}-error` }
+          ])
+        )
+      );
+
+      this.checkboxInput.addEventListener('change', this.onCheckboxChange.bind(this));
+      this.form.addEventListener('submit', this.onSubmit.bind(this));
+    }
+
+    connectedCallback() {
+      this.renderVisibility();
+
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => this.renderVisibility());
+      this.fulfillmentMethodChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.fulfillmentMethodChange, () => this.renderVisibility());
+    }
+
+    disconnectedCallback() {
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+      if (this.fulfillmentMethodChangeUnsubscriber) {
+        this.fulfillmentMethodChangeUnsubscriber();
+      }
+
+      this.preferredStoreChangeUnsubscriber = undefined;
+      this.fulfillmentMethodChangeUnsubscriber = undefined;
+    }
+
+    // Only shown while the shopper is picking up from a store
+    renderVisibility() {
+      this.hidden = !getPreferredStore() || ![null, 'pick_up'].includes(getFulfillmentMethod());
+    }
+
+    get inputs() {
+      return [this.nameInput, this.phoneInput, this.vehicleInput, this.bayInput];
+    }
+
+    // Unchecking removes details that were already saved
+    onCheckboxChange() {
+      this.fields.hidden = !this.checkboxInput.checked;
+      this.status.textContent = '';
+      if (this.checkboxInput.checked) {
+        this.nameInput.focus();
+        return;
+      }
+
+      this.inputs.forEach((input) => (input.value = ''));
+      this.formErrors.clear();
+      if (this.dataset.saved === 'true') this.save();
+    }
+
+    onSubmit(event) {
+      event.preventDefault();
+      if (this.getAttribute('aria-busy') === 'true') return;
+
+      this.formErrors.clear();
+      const errors = this.validate();
+      if (errors) {
+        this.formErrors.display(errors);
+        return;
+      }
+
+      this.save();
+    }
+
+    validate() {
+      const errors = {};
+      const phone = this.phoneInput.value.trim();
+
+      if (!this.nameInput.value.trim()) errors.name = bopisString('pickupPersonBlank');
+
+      if (!phone) {
+        errors.phone = bopisString('pickupPersonBlank');
+      } else if (!bopisIsValidPhone(phone)) {
+        errors.phone = bopisString('pickupPersonInvalid');
+      }
+
+      return Object.keys(errors).length ? errors : null;
+    }
+
+    // Empty values remove the attributes from the cart
+    async save() {
+      const keep = this.checkboxInput.checked;
+      const attributes = {};
+      Object.entries(BopisPickupPerson.cartAttributes).forEach(([key, attribute]) => {
+        attributes[attribute] = keep ? this[`${key}Input`].value.trim() : '';
+      });
+
+      this.setAttribute('aria-busy', 'true');
+      try {
+        const body = JSON.stringify({ attributes });
+        const response = await fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+        if (!response.ok) throw new Error(`Cart update failed: ${response.status}`);
+
+        this.dataset.saved = keep;
+        this.status.textContent = bopisString(keep ? 'pickupPersonSaved' : 'pickupPersonRemoved');
+      } catch (error) {
+        console.error('BOPIS: Failed to save pickup person:', error);
+        this.status.textContent = bopisString('pickupPersonError');
+      } finally {
+        this.removeAttribute('aria-busy');
+      }
+    }
+  });
+}
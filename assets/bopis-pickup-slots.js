@@ -0,0 +1,115 @@
+// Pickup time slots for the BOPIS selector.
+//
+// Slots are cut from a store's opening hours (assets/bopis-hours.js):
+// - the first slot starts at least the lead time from now
+// - every slot is the same length and ends by closing time
+// - a slot holding as many bookings as the capacity is full (0 = no limit)
+//
+// Bookings come from the `bopis.pickup_bookings` JSON location metafield:
+//   { "2024-05-14": { "14:00": 3, "15:00": 8 } }
+// or from `window.bopisSlotBookings` (`{ getBookings(location) }`) when it is set.
+// The theme never counts bookings itself, so capacity only holds while an app or
+// order flow keeps the metafield current.
+//
+// The chosen slot is kept in the `_pickup_date` and `_pickup_slot` cart attributes
+// and cleared when the preferred store changes (assets/bopis-preferred-store.js).
+// Every change publishes PUB_SUB_EVENTS.pickupSlotChange with `{ source, slot }`.
+const BOPIS_PICKUP_DATE_ATTRIBUTE = '_pickup_date';
+const BOPIS_PICKUP_SLOT_ATTRIBUTE = '_pickup_slot';
+
+// Calendar date (YYYY-MM-DD) in the store's timezone
+function bopisZonedDate(date, timezone) {
+  const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined }).formatToParts(date);
+  } catch (error) {
+    parts = new Intl.DateTimeFormat('en-US', options).formatToParts(date);
+  }
+
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+function bopisAddDays(isoDate, days) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function bopisSlotTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Returns [{ date, slots: [{ value: '14:00-15:00', start, end, remaining, full }] }] for
+// the next `days` days, leaving out slots that start too soon and days with nothing
+// left to book. `remaining` is null when slots have no capacity limit. Opening hours
+// that run past midnight only offer slots up to midnight.
+function bopisGetPickupSlots(hours, { days = 7, leadMinutes = 0, slotMinutes = 60, capacity = 0, bookings = {}, now = new Date() } = {}) {
+  const today = bopisZonedDate(now, hours.timezone);
+  const { weekday, minutes } = bopisZonedTime(now, hours.timezone);
+  const earliest = minutes + leadMinutes;
+
+  const result = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = bopisAddDays(today, offset);
+    const booked = bookings[date] || {};
+    const slots = [];
+
+    hours.days[(weekday + offset) % 7].forEach((range) => {
+      const closes = Math.min(range.closes, BOPIS_MINUTES_PER_DAY);
+      for (let start = range.opens; start + slotMinutes <= closes; start += slotMinutes) {
+        if (offset * BOPIS_MINUTES_PER_DAY + start < earliest) continue;
+
+        const remaining = capacity > 0 ? Math.max(capacity - (booked[bopisSlotTime(start)] || 0), 0) : null;
+        slots.push({
+          value: `${bopisSlotTime(start)}-${bopisSlotTime((start + slotMinutes) % BOPIS_MINUTES_PER_DAY)}`,
+          start,
+          end: start + slotMinutes,
+          remaining,
+          full: remaining === 0
+        });
+      }
+    });
+
+    if (slots.some((slot) => !slot.full)) result.push({ date, slots });
+  }
+
+  return result;
+}
+
+// The slot, if it can still be booked
+function bopisFindPickupSlot(days, pickupSlot) {
+  const day = days.find((entry) => entry.date === pickupSlot.date);
+  return day ? day.slots.find((slot) => slot.value === pickupSlot.slot && !slot.full) || null : null;
+}
+
+function bopisFormatSlotDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(document.documentElement.lang || undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Returns { date, slot } or null
+function getPickupSlot() {
+  return (window.preferredStoreSettings || {}).cartPickupSlot || null;
+}
+
+async function setPickupSlot(pickupSlot, source) {
+  const body = JSON.stringify({
+    attributes: {
+      [BOPIS_PICKUP_DATE_ATTRIBUTE]: pickupSlot ? pickupSlot.date : '',
+      [BOPIS_PICKUP_SLOT_ATTRIBUTE]: pickupSlot ? pickupSlot.slot : ''
+    }
+  });
+
+  const response = await fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+  if (!response.ok) throw new Error(`Cart update failed: ${response.status}`);
+
+  if (window.preferredStoreSettings) window.preferredStoreSettings.cartPickupSlot = pickupSlot;
+  publish(PUB_SUB_EVENTS.pickupSlotChange, { source, slot: pickupSlot });
+  return pickupSlot;
+}
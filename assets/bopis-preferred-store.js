@@ -0,0 +1,137 @@
+// The shopper's preferred pickup store, shared by every BOPIS component.
+//
+// The store is kept in three places so it survives reloads, new sessions and
+// other devices:
+// - localStorage, read synchronously on every page
+// - the `_preferred_pickup_location` cart attributes, so Liquid
+//   (pickup-availability, cart) can render it server-side
+// - a customer metafield when the shopper is logged in, written through
+//   `window.bopisCustomerStoreAdapter` or the configured app proxy endpoint
+//
+// Every change publishes PUB_SUB_EVENTS.preferredStoreChange with `{ source, store }`.
+// A pickup time slot (assets/bopis-pickup-slots.js) belongs to a store, so switching
+// stores clears it from the cart as well.
+const BOPIS_PREFERRED_STORE_STORAGE_KEY = 'bopis:preferred-store';
+const BOPIS_PREFERRED_STORE_ATTRIBUTE = '_preferred_pickup_location';
+const BOPIS_PREFERRED_STORE_NAME_ATTRIBUTE = '_preferred_pickup_location_name';
+
+// Stored shape: { id: 'gid://shopify/Location/123', name, address: { address1, address2, city, province, zip, country } }
+function getPreferredStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(BOPIS_PREFERRED_STORE_STORAGE_KEY));
+    if (store && store.id) return store;
+  } catch (error) {
+    // Storage unavailable or corrupted: fall back to what Liquid rendered.
+  }
+
+  const settings = window.preferredStoreSettings || {};
+  return settings.cartStore || settings.customerStore || null;
+}
+
+function getPreferredStoreId() {
+  const store = getPreferredStore();
+  return store ? bopisLocationNumericId(store.id) : null;
+}
+
+function bopisLocationNumericId(locationId) {
+  return String(locationId).split('/').pop();
+}
+
+async function setPreferredStore(location, source) {
+  const store = location ? {
+    id: location.id,
+    name: location.name,
+    address: location.address ? {
+      address1: location.address.address1,
+      address2: location.address.address2,
+      city: location.address.city,
+      province: location.address.province,
+      zip: location.address.zip,
+      country: location.address.country
+    } : null
+  } : null;
+  const storeChanged = (store ? bopisLocationNumericId(store.id) : null) !== getPreferredStoreId();
+
+  try {
+    if (store) {
+      localStorage.setItem(BOPIS_PREFERRED_STORE_STORAGE_KEY, JSON.stringify(store));
+    } else {
+      localStorage.removeItem(BOPIS_PREFERRED_STORE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('BOPIS: Unable to persist preferred store', error);
+  }
+
+  await Promise.all([
+    savePreferredStoreToCart(store, storeChanged).catch((error) => console.error('BOPIS: Failed to save preferred store to cart:', error)),
+    savePreferredStoreToCustomer(store).catch((error) => console.error('BOPIS: Failed to save preferred store to customer:', error))
+  ]);
+
+  publish(PUB_SUB_EVENTS.preferredStoreChange, { source, store });
+  return store;
+}
+
+function clearPreferredStore(source) {
+  return setPreferredStore(null, source);
+}
+
+function savePreferredStoreToCart(store, clearPickupSlot = false) {
+  const attributes = {
+    [BOPIS_PREFERRED_STORE_ATTRIBUTE]: store ? bopisLocationNumericId(store.id) : '',
+    [BOPIS_PREFERRED_STORE_NAME_ATTRIBUTE]: store ? store.name : ''
+  };
+  if (clearPickupSlot) Object.assign(attributes, { _pickup_date: '', _pickup_slot: '' });
+
+  const body = JSON.stringify({ attributes });
+
+  return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then((response) => {
+    if (!response.ok) throw new Error(`Cart update failed: ${response.status}`);
+    if (clearPickupSlot && window.preferredStoreSettings) window.preferredStoreSettings.cartPickupSlot = null;
+  });
+}
+
+// Customer metafields can't be written with the Storefront API, so the write goes
+// through an adapter (`{ save(store) }`) or an app proxy that updates
+// `customer.metafields.bopis.preferred_store` for the logged-in customer.
+function savePreferredStoreToCustomer(store) {
+  const settings = window.preferredStoreSettings || {};
+  if (!settings.customerLoggedIn) return Promise.resolve();
+
+  if (window.bopisCustomerStoreAdapter) return Promise.resolve(window.bopisCustomerStoreAdapter.save(store));
+  if (!settings.customerEndpoint) return Promise.resolve();
+
+  const body = JSON.stringify({ location_id: store ? bopisLocationNumericId(store.id) : null, store });
+  return fetch(settings.customerEndpoint, { ...fetchConfig(), ...{ body } }).then((response) => {
+    if (!response.ok) throw new Error(`Customer store update failed: ${response.status}`);
+  });
+}
+
+// A store saved on another device (customer metafield) or in the cart is adopted
+// locally the first time this browser sees it. Once this browser has a store, a
+// new cart (or one still naming another store) gets it written back, so the
+// Liquid-rendered parts agree with the ones reading localStorage.
+document.addEventListener('DOMContentLoaded', () => {
+  let storedStore = null;
+  try {
+    storedStore = JSON.parse(localStorage.getItem(BOPIS_PREFERRED_STORE_STORAGE_KEY));
+    if (!storedStore || !storedStore.id) {
+      const store = getPreferredStore();
+      if (store) localStorage.setItem(BOPIS_PREFERRED_STORE_STORAGE_KEY, JSON.stringify(store));
+      return;
+    }
+  } catch (error) {
+    // Nothing to adopt into when storage is unavailable.
+    return;
+  }
+
+  const settings = window.preferredStoreSettings || {};
+  const cartStoreId = settings.cartStore ? bopisLocationNumericId(settings.cartStore.id) : null;
+  if (cartStoreId === bopisLocationNumericId(storedStore.id)) return;
+
+  // A pickup slot kept for the cart's previous store no longer applies
+  savePreferredStoreToCart(storedStore, Boolean(cartStoreId))
+    .then(() => {
+      settings.cartStore = { id: storedStore.id, name: storedStore.name };
+    })
+    .catch((error) => console.error('BOPIS: Failed to save preferred store to cart:', error));
+});
@@ -0,0 +1,88 @@
+if (!customElements.get('bopis-reservation-list')) {
+  customElements.define('bopis-reservation-list', class BopisReservationList extends HTMLElement {
+    constructor() {
+      super();
+
+      this.status = this.querySelector('.bopis-reservations__status');
+      this.table = this.querySelector('table');
+      this.tableBody = this.table.querySelector('tbody');
+      this.columns = Array.from(this.table.querySelectorAll('th'), (heading) => ({
+        id: heading.id,
+        label: heading.textContent.trim()
+      }));
+    }
+
+    connectedCallback() {
+      this.load();
+    }
+
+    getCustomerReservations() {
+      try {
+        return JSON.parse(this.querySelector('[data-customer-reservations]').textContent) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    // The metafield is what the store has confirmed, so it wins over the adapter's copy
+    async load() {
+      const reservations = new Map();
+      let failed = false;
+
+      try {
+        const listed = await bopisReservationAdapter(this.dataset.endpoint).list({ email: this.dataset.customerEmail });
+        listed.forEach((reservation) => reservations.set(reservation.code, reservation));
+      } catch (error) {
+        console.error('BOPIS: Failed to load reservations:', error);
+        failed = true;
+      }
+
+      this.getCustomerReservations().forEach((reservation) => reservations.set(reservation.code, reservation));
+      this.render(Array.from(reservations.values()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)), failed);
+    }
+
+    render(reservations, failed) {
+      this.tableBody.replaceChildren(...reservations.map((reservation) => this.renderRow(reservation)));
+      this.table.hidden = reservations.length === 0;
+
+      if (failed) {
+        this.status.textContent = bopisString('reservationsError');
+      } else {
+        this.status.textContent = reservations.length ? '' : bopisString('reservationsNone');
+      }
+      this.status.hidden = !this.status.textContent;
+    }
+
+    renderRow(reservation) {
+      const status = bopisReservationStatus(reservation);
+      const pickupWindow = reservation.pickupWindow;
+      const items = (reservation.items || []).map((item) => {
+        const title = item.variantTitle ? `${item.productTitle} - ${item.variantTitle}` : item.productTitle;
+        return item.quantity > 1 ? `${title} × ${item.quantity}` : title;
+      });
+
+      const values = [
+        reservation.code,
+        reservation.location ? reservation.location.name : '',
+        items.join(', '),
+        pickupWindow ? bopisString('reservationWindow', {
+          start: bopisFormatDateTime(pickupWindow.start),
+          end: bopisFormatDateTime(pickupWindow.end)
+        }) : '',
+        bopisString(`reservation${status.charAt(0).toUpperCase()}${status.slice(1)}`)
+      ];
+
+      const row = document.createElement('tr');
+      row.setAttribute('role', 'row');
+      values.forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.setAttribute('role', 'cell');
+        cell.setAttribute('headers', this.columns[index].id);
+        cell.dataset.label = this.columns[index].label;
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    }
+  });
+}
@@ -0,0 +1,117 @@
+// "Reserve now, pay in store" holds placed from the product page.
+//
+// Reservations go through an adapter with two methods:
+//   create(request) -> reservation
+//   list({ email }) -> [reservation]
+// where a reservation looks like:
+//   {
+//     code: 'R7K2QXM', status: 'reserved', createdAt,
+//     pickupWindow: { start, end },       // ISO 8601
+//     location: { id, name },
+//     items: [{ variantId, productTitle, variantTitle, quantity }],
+//     customer: { id, name, email, phone }
+//   }
+// The browser never sends `customer.id`: whoever stores the reservation sets it from
+// the signed-in customer, e.g. the app proxy's `logged_in_customer_id`.
+//
+// Assign `window.bopisReservationAdapter` to use your own. Otherwise reservations are
+// sent to the app proxy in Theme settings > Store pickup > Reservation endpoint, and
+// without one they're kept in this browser by BopisLocalReservationAdapter, which is
+// only meant for testing.
+const BOPIS_RESERVATIONS_STORAGE_KEY = 'bopis:reservations';
+const BOPIS_RESERVATION_STATUSES = ['reserved', 'collected', 'cancelled', 'expired'];
+
+function bopisReservationAdapter(endpoint) {
+  if (window.bopisReservationAdapter) return window.bopisReservationAdapter;
+  if (endpoint) return new BopisEndpointReservationAdapter(endpoint);
+
+  console.warn('BOPIS: No reservation endpoint set, reservations are only stored in this browser');
+  return new BopisLocalReservationAdapter();
+}
+
+// POSTs `{ reservation }` and expects the stored reservation back; GETs the
+// endpoint and expects `{ reservations: [...] }` for the customer in the app proxy's
+// signed `logged_in_customer_id`. No customer is named in the request, as anything
+// the browser sends can be changed by the shopper.
+class BopisEndpointReservationAdapter {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  async create(request) {
+    const body = JSON.stringify({ reservation: request });
+    const response = await fetch(this.endpoint, { ...fetchConfig(), ...{ body } });
+    if (!response.ok) throw new Error(`Reservation failed: ${response.status}`);
+    return response.json();
+  }
+
+  async list() {
+    const response = await fetch(this.endpoint, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`Loading reservations failed: ${response.status}`);
+    return (await response.json()).reservations || [];
+  }
+}
+
+// Testing stand-in: the hold starts at the next full hour and lasts `holdHours`
+class BopisLocalReservationAdapter {
+  async create(request) {
+    const start = new Date();
+    start.setHours(start.getHours() + 1, 0, 0, 0);
+    const end = new Date(start.getTime() + (request.holdHours || 48) * 60 * 60 * 1000);
+
+    const reservation = {
+      ...request,
+      code: this.generateCode(),
+      status: 'reserved',
+      createdAt: new Date().toISOString(),
+      pickupWindow: { start: start.toISOString(), end: end.toISOString() }
+    };
+
+    this.write([reservation, ...this.read()]);
+    return reservation;
+  }
+
+  async list({ email }) {
+    return this.read().filter(({ customer }) => email && customer.email.toLowerCase() === email.toLowerCase());
+  }
+
+  // Six characters without look-alikes such as 0/O and 1/I
+  generateCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const values = crypto.getRandomValues(new Uint8Array(6));
+    return `R${Array.from(values, (value) => alphabet[value % alphabet.length]).join('')}`;
+  }
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(BOPIS_RESERVATIONS_STORAGE_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  write(reservations) {
+    try {
+      localStorage.setItem(BOPIS_RESERVATIONS_STORAGE_KEY, JSON.stringify(reservations));
+    } catch (error) {
+      console.warn('BOPIS: Unable to store reservation', error);
+    }
+  }
+}
+
+// A hold that has run out is shown as expired even if nobody updated it
+function bopisReservationStatus(reservation, now = new Date()) {
+  const status = BOPIS_RESERVATION_STATUSES.includes(reservation.status) ? reservation.status : 'reserved';
+  if (status === 'reserved' && reservation.pickupWindow && new Date(reservation.pickupWindow.end) < now) return 'expired';
+  return status;
+}
+
+function bopisFormatDateTime(isoDate) {
+  return new Date(isoDate).toLocaleString(document.documentElement.lang || undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
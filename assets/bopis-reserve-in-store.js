@@ -0,0 +1,180 @@
+if (!customElements.get('bopis-reserve-in-store')) {
+  customElements.define('bopis-reserve-in-store', class BopisReserveInStore extends HTMLElement {
+    constructor() {
+      super();
+
+      this.toggleButton = this.querySelector('[data-action="toggle"]');
+      this.panel = this.querySelector('.bopis-reserve__panel');
+      this.storeMessage = this.querySelector('.bopis-reserve__store');
+      this.form = this.querySelector('.bopis-reserve__form');
+      this.submitButton = this.form.querySelector('[type="submit"]');
+      this.confirmation = this.querySelector('.bopis-reserve__confirmation');
+      this.nameInput = this.querySelector(`#Reserve-name-${this.dataset.sectionId}`);
+      this.emailInput = this.querySelector(`#Reserve-email-${this.dataset.sectionId}`);
+      this.phoneInput = this.querySelector(`#Reserve-phone-${this.dataset.sectionId}`);
+      this.formErrors = new BopisFormErrors(this.querySelector('.bopis-reserve__error-message-wrapper'), {
+        name: { input: this.nameInput, messageId: `ReserveForm-name-error-${this.dataset.sectionId}` },
+        email: { input: this.emailInput, messageId: `ReserveForm-email-error-${this.dataset.sectionId}` },
+        phone: { input: this.phoneInput, messageId: `ReserveForm-phone-error-${this.dataset.sectionId}` }
+      });
+      this.variant = { id: null, title: this.dataset.variantTitle };
+
+      this.toggleButton.addEventListener('click', this.togglePanel.bind(this));
+      this.form.addEventListener('submit', this.onSubmit.bind(this));
+    }
+
+    connectedCallback() {
+      this.renderStore();
+
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => this.renderStore());
+
+      this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+        if (event.data.sectionId !== this.dataset.sectionId) return;
+
+        const variant = event.data.variant;
+        this.variant = variant ? { id: variant.id, title: variant.title } : { id: null, title: '' };
+        this.toggleButton.disabled = !variant || !variant.available;
+        if (this.toggleButton.disabled) this.closePanel();
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+      if (this.variantChangeUnsubscriber) {
+        this.variantChangeUnsubscriber();
+      }
+
+      this.preferredStoreChangeUnsubscriber = undefined;
+      this.variantChangeUnsubscriber = undefined;
+    }
+
+    togglePanel() {
+      if (this.panel.hidden) {
+        this.openPanel();
+      } else {
+        this.closePanel();
+      }
+    }
+
+    openPanel() {
+      this.form.hidden = false;
+      this.confirmation.hidden = true;
+      this.panel.hidden = false;
+      this.toggleButton.setAttribute('aria-expanded', 'true');
+      this.renderStore();
+    }
+
+    closePanel() {
+      this.panel.hidden = true;
+      this.toggleButton.setAttribute('aria-expanded', 'false');
+    }
+
+    renderStore() {
+      const store = getPreferredStore();
+      this.storeMessage.textContent = store
+        ? bopisString('reserveStore', { store: store.name })
+        : bopisString('reserveNoStore');
+      this.submitButton.disabled = !store;
+    }
+
+    // Field errors use the same "<label> <message>" wording as the gift card recipient form
+    validate() {
+      const errors = {};
+      const email = this.emailInput.value.trim();
+      const phone = this.phoneInput.value.trim();
+
+      if (!this.nameInput.value.trim()) errors.name = bopisString('reserveBlank');
+
+      if (!email) {
+        errors.email = bopisString('reserveBlank');
+      } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        errors.email = bopisString('reserveInvalid');
+      }
+
+      if (!phone) {
+        errors.phone = bopisString('reserveBlank');
+      } else if (!bopisIsValidPhone(phone)) {
+        errors.phone = bopisString('reserveInvalid');
+      }
+
+      return Object.keys(errors).length ? errors : null;
+    }
+
+    // The variant and quantity come from the product form so they match Add to cart
+    getReservationRequest(store) {
+      const productForm = document.getElementById(this.dataset.productFormId);
+      const formData = productForm ? new FormData(productForm) : new FormData();
+      const variantId = formData.get('id') || this.variant.id;
+      if (!variantId) return null;
+
+      return {
+        holdHours: Number(this.dataset.holdHours),
+        location: { id: store.id, name: store.name },
+        items: [{
+          variantId: Number(variantId),
+          productTitle: this.dataset.productTitle,
+          variantTitle: this.variant.title,
+          quantity: Number(formData.get('quantity')) || 1
+        }],
+        customer: {
+          name: this.nameInput.value.trim(),
+          email: this.emailInput.value.trim(),
+          phone: this.phoneInput.value.trim()
+        }
+      };
+    }
+
+    async onSubmit(event) {
+      event.preventDefault();
+      if (this.form.getAttribute('aria-busy') === 'true') return;
+
+      this.formErrors.clear();
+      const errors = this.validate();
+      if (errors) {
+        this.formErrors.display(errors);
+        return;
+      }
+
+      const store = getPreferredStore();
+      if (!store) {
+        this.renderStore();
+        return;
+      }
+
+      const request = this.getReservationRequest(store);
+      if (!request) {
+        this.formErrors.display(bopisString('variantRequired'));
+        return;
+      }
+
+      this.form.setAttribute('aria-busy', 'true');
+      this.submitButton.setAttribute('aria-disabled', 'true');
+
+      try {
+        const reservation = await bopisReservationAdapter(this.dataset.endpoint).create(request);
+        this.showConfirmation(reservation);
+      } catch (error) {
+        console.error('BOPIS: Failed to create reservation:', error);
+        this.formErrors.display(bopisString('reserveError'));
+      } finally {
+        this.form.removeAttribute('aria-busy');
+        this.submitButton.removeAttribute('aria-disabled');
+      }
+    }
+
+    showConfirmation(reservation) {
+      this.confirmation.querySelector('.bopis-reserve__code').textContent = reservation.code;
+      this.confirmation.querySelector('.bopis-reserve__window').textContent = bopisString('reserveWindow', {
+        store: reservation.location.name,
+        start: bopisFormatDateTime(reservation.pickupWindow.start),
+        end: bopisFormatDateTime(reservation.pickupWindow.end)
+      });
+
+      this.form.hidden = true;
+      this.confirmation.hidden = false;
+      this.confirmation.querySelector('h3').focus();
+    }
+  });
+}
@@ -10,6 +10,35 @@ class CartNotification extends HTMLElement {
     this.querySelectorAll('button[type="button"]').forEach((closeButton) =>
       closeButton.addEventListener('click', this.close.bind(this))
     );
+
+    this.checkoutForm = document.getElementById('cart-notification-form');
+    if (this.checkoutForm) this.checkoutForm.addEventListener('submit', this.onCheckoutSubmit.bind(this));
+  }
+
+  // The notification has no line items to check pickup against, so a cart with
+  // pickup lines goes to the cart page, which validates them before checkout
+  onCheckoutSubmit(event) {
+    if (this.checkoutBypass) return;
+    event.preventDefault();
+
+    const submitter = event.submitter;
+    fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => cart.items.some(isPickupCartLine))
+      .catch(() => true)
+      .then((hasPickupLines) => {
+        if (hasPickupLines) {
+          window.location = routes.cart_url;
+          return;
+        }
+
+        this.checkoutBypass = true;
+        try {
+          this.checkoutForm.requestSubmit(submitter);
+        } finally {
+          this.checkoutBypass = false;
+        }
+      });
   }
 
   open() {
@@ -22,26 +22,49 @@ class CartItems extends HTMLElement {
     }, ON_CHANGE_DEBOUNCE_TIMER);
 
     this.addEventListener('change', debouncedOnChange.bind(this));
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-pickup-action]');
+      if (button) this.onPickupAction(button);
+    });
+    this.addEventListener('submit', this.onSubmit.bind(this));
   }
 
   cartUpdateUnsubscriber = undefined;
+  preferredStoreChangeUnsubscriber = undefined;
+  fulfillmentMethodChangeUnsubscriber = undefined;
 
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
+      if (event.source === 'cart-items' || event.source === 'cart-note') {
+        this.checkPickupEligibility();
         return;
       }
       this.onCartUpdate();
     });
+    this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => this.checkPickupEligibility());
+    this.fulfillmentMethodChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.fulfillmentMethodChange, () => this.checkPickupEligibility());
+
+    this.checkPickupEligibility();
   }
 
   disconnectedCallback() {
     if (this.cartUpdateUnsubscriber) {
       this.cartUpdateUnsubscriber();
     }
+    if (this.preferredStoreChangeUnsubscriber) {
+      this.preferredStoreChangeUnsubscriber();
+    }
+    if (this.fulfillmentMethodChangeUnsubscriber) {
+      this.fulfillmentMethodChangeUnsubscriber();
+    }
   }
 
   onChange(event) {
+    if (event.target.hasAttribute('data-line-fulfillment')) {
+      this.updateLineFulfillment(event.target.dataset.index, event.target.value, event.target.getAttribute('name'));
+      return;
+    }
+
     this.updateQuantity(event.target.dataset.index, event.target.value, document.activeElement.getAttribute('name'));
   }
 
@@ -52,6 +75,7 @@ class CartItems extends HTMLElement {
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         const sourceQty = html.querySelector('cart-items');
         this.innerHTML = sourceQty.innerHTML;
+        this.checkPickupEligibility();
       })
       .catch(e => {
         console.error(e);
@@ -83,12 +107,32 @@ class CartItems extends HTMLElement {
     ];
   }
 
-  updateQuantity(line, quantity, name) {
+  // Re-renders the cart sections without changing any lines, e.g. after a cart attribute update
+  refreshSections() {
+    const sections = this.getSectionsToRender();
+
+    return fetch(`${routes.cart_url}?sections=${sections.map((section) => section.section).join(',')}`)
+      .then((response) => response.json())
+      .then((parsedSections) => {
+        sections.forEach((section) => {
+          const elementToReplace =
+            document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+          elementToReplace.innerHTML = this.getSectionInnerHTML(parsedSections[section.section], section.selector);
+        });
+        this.checkPickupEligibility();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  updateQuantity(line, quantity, name, properties) {
     this.enableLoading(line);
 
     const body = JSON.stringify({
       line,
       quantity,
+      ...(properties && { properties }),
       sections: this.getSectionsToRender().map((section) => section.section),
       sections_url: window.location.pathname
     });
@@ -151,6 +195,109 @@ class CartItems extends HTMLElement {
       });
   }
 
+  // Flags lines that aren't stocked at the store they'd be picked up from. Lines
+  // marked to ship and lines that don't need shipping are never flagged.
+  checkPickupEligibility() {
+    this.querySelectorAll('.cart-item[data-pickup-locations]').forEach((lineItem) => {
+      const warning = lineItem.querySelector('.cart-item__pickup-warning');
+      if (!warning) return;
+
+      const location = this.getLinePickupLocation(lineItem);
+      const eligible = !location || lineItem.dataset.pickupLocations.split(',').includes(location.id);
+
+      warning.hidden = eligible;
+      if (!eligible) warning.querySelector('.cart-item__pickup-store').textContent = location.name;
+    });
+
+    this.toggleDynamicCheckout();
+  }
+
+  // Dynamic checkout buttons go to checkout without submitting the cart form, so
+  // validateFulfillment() can't stop them. They're hidden while any line is picked up.
+  toggleDynamicCheckout() {
+    const dynamicCheckout = document.querySelector('.cart__dynamic-checkout-buttons');
+    if (!dynamicCheckout || this.closest('cart-drawer')) return;
+
+    dynamicCheckout.hidden = Array.from(this.querySelectorAll('.cart-item[data-pickup-locations]')).some((lineItem) =>
+      this.getLinePickupLocation(lineItem)
+    );
+  }
+
+  // A line's own `_fulfillment` / `_pickup_location` properties win; lines without
+  // them are picked up at the preferred store while the cart is set to pickup
+  getLinePickupLocation(lineItem) {
+    const { fulfillment, pickupLocation } = lineItem.dataset;
+    if (fulfillment === 'shipping') return null;
+
+    if (fulfillment === 'pick_up' && pickupLocation) {
+      const heading = lineItem.closest('tbody').querySelector('.cart-items__group-heading');
+      return { id: pickupLocation, name: heading ? heading.dataset.locationName : '' };
+    }
+
+    const store = getPreferredStore();
+    const method = getFulfillmentMethod();
+    if (!store || (method !== null && method !== 'pick_up')) return null;
+    return { id: bopisLocationNumericId(store.id), name: store.name };
+  }
+
+  // Line item properties are replaced as a whole, so the line's other properties
+  // are sent along. `value` is 'shipping' or 'pick_up-<location id>'.
+  updateLineFulfillment(line, value, name) {
+    const lineItem = this.querySelector(`.cart-item[data-index="${line}"]`);
+    const quantityElement = document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
+    const { _pickup_location, ...properties } = JSON.parse(lineItem.dataset.properties || 'null') || {};
+    const [method, locationId] = value.split('-');
+
+    properties._fulfillment = method;
+    if (locationId) properties._pickup_location = locationId;
+
+    this.updateQuantity(line, quantityElement.value, name, properties);
+  }
+
+  // Checkout needs every pickup line stocked at its store, and a single pickup store
+  validateFulfillment() {
+    if (this.querySelector('.cart-item__pickup-warning:not([hidden])')) return window.cartStrings.pickupUnavailableError;
+
+    const storeIds = new Set();
+    this.querySelectorAll('.cart-item[data-pickup-locations]').forEach((lineItem) => {
+      const location = this.getLinePickupLocation(lineItem);
+      if (location) storeIds.add(location.id);
+    });
+    return storeIds.size > 1 ? window.cartStrings.pickupStoresError : null;
+  }
+
+  onSubmit(event) {
+    if (!event.submitter || event.submitter.name !== 'checkout') return;
+
+    const message = this.validateFulfillment();
+    if (!message) return;
+
+    event.preventDefault();
+    const errors = document.getElementById(this.closest('cart-drawer') ? 'CartDrawer-CartErrors' : 'cart-errors');
+    errors.textContent = message;
+
+    const warning = this.querySelector('.cart-item__pickup-warning:not([hidden]) button');
+    if (warning) warning.focus();
+  }
+
+  onPickupAction(button) {
+    const line = button.dataset.index;
+
+    switch (button.dataset.pickupAction) {
+      case 'switch-store': {
+        const cartPickup = document.getElementById(this.closest('cart-drawer') ? 'CartDrawer-Pickup' : 'Cart-Pickup');
+        if (cartPickup) cartPickup.openSelector();
+        break;
+      }
+      case 'ship':
+        this.updateLineFulfillment(line, 'shipping');
+        break;
+      case 'remove':
+        this.updateQuantity(line, 0);
+        break;
+    }
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError = document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
     if (lineItemError) lineItemError.querySelector('.cart-item__error-text').innerHTML = message;
@@ -205,7 +352,8 @@ if (!customElements.get('cart-note')) {
 
       this.addEventListener('change', debounce((event) => {
             const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+              .then(() => publish(PUB_SUB_EVENTS.cartUpdate, {source: 'cart-note'}));
       }, ON_CHANGE_DEBOUNCE_TIMER))
       }
   });
@@ -4,5 +4,8 @@ const PUB_SUB_EVENTS = {
   cartUpdate: 'cart-update',
   quantityUpdate: 'quantity-update',
   variantChange: 'variant-change',
-  cartError: 'cart-error'
+  cartError: 'cart-error',
+  preferredStoreChange: 'preferred-store-change',
+  fulfillmentMethodChange: 'fulfillment-method-change',
+  pickupSlotChange: 'pickup-slot-change'
 };
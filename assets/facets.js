@@ -43,7 +43,7 @@ class FacetFiltersForm extends HTMLElement {
     }
 
     sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
+      const url = `${window.location.pathname}?section_id=${section.section}&${FacetFiltersForm.getSectionSearchParams(searchParams)}`;
       const filterDataUrl = element => element.url === url;
 
       FacetFiltersForm.filterData.some(filterDataUrl) ?
@@ -63,6 +63,7 @@ class FacetFiltersForm extends HTMLElement {
         FacetFiltersForm.renderFilters(html, event);
         FacetFiltersForm.renderProductGridContainer(html);
         FacetFiltersForm.renderProductCount(html);
+        FacetFiltersForm.renderClientFilters();
       });
   }
 
@@ -71,6 +72,7 @@ class FacetFiltersForm extends HTMLElement {
     FacetFiltersForm.renderFilters(html, event);
     FacetFiltersForm.renderProductGridContainer(html);
     FacetFiltersForm.renderProductCount(html);
+    FacetFiltersForm.renderClientFilters();
   }
 
   static renderProductGridContainer(html) {
@@ -150,6 +152,34 @@ class FacetFiltersForm extends HTMLElement {
     }
   }
 
+  // Filters applied in the browser (e.g. assets/bopis-pickup-filter.js) register
+  // `{ param, render() }`. Their parameter stays in the page URL and history but
+  // isn't sent to the server, and `render` runs after every product grid render.
+  static registerClientFilter(filter) {
+    FacetFiltersForm.clientFilters.push(filter);
+  }
+
+  static getSectionSearchParams(searchParams) {
+    const params = new URLSearchParams(searchParams);
+    FacetFiltersForm.clientFilters.forEach(({ param }) => params.delete(param));
+    return params.toString();
+  }
+
+  // Server-rendered filter URLs don't know about client filters, so carry over the active ones
+  static keepClientFilterParams(searchParams) {
+    const current = new URLSearchParams(FacetFiltersForm.searchParamsPrev);
+    const params = new URLSearchParams(searchParams);
+    FacetFiltersForm.clientFilters.forEach(({ param }) => {
+      params.delete(param);
+      if (current.has(param)) params.set(param, current.get(param));
+    });
+    return params.toString();
+  }
+
+  static renderClientFilters() {
+    FacetFiltersForm.clientFilters.forEach((filter) => filter.render());
+  }
+
   static updateURLHash(searchParams) {
     history.pushState({ searchParams }, '', `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`);
   }
@@ -168,7 +198,7 @@ class FacetFiltersForm extends HTMLElement {
   }
 
   onSubmitForm(searchParams, event) {
-    FacetFiltersForm.renderPage(searchParams, event);
+    FacetFiltersForm.renderPage(FacetFiltersForm.keepClientFilterParams(searchParams), event);
   }
 
   onSubmitHandler(event) {
@@ -200,11 +230,13 @@ class FacetFiltersForm extends HTMLElement {
     event.preventDefault();
     FacetFiltersForm.toggleActiveFacets();
     const url = event.currentTarget.href.indexOf('?') == -1 ? '' : event.currentTarget.href.slice(event.currentTarget.href.indexOf('?') + 1);
-    FacetFiltersForm.renderPage(url);
+    // "Clear all" clears the client filters too; removing one filter keeps them
+    FacetFiltersForm.renderPage(event.currentTarget.hasAttribute('data-clear-all') ? url : FacetFiltersForm.keepClientFilterParams(url));
   }
 }
 
 FacetFiltersForm.filterData = [];
+FacetFiltersForm.clientFilters = [];
 FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
 FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
 customElements.define('facet-filters-form', FacetFiltersForm);
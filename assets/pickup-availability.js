@@ -10,7 +10,23 @@ if (!customElements.get('pickup-availability')) {
       this.fetchAvailability(this.dataset.variantId);
     }
 
+    preferredStoreChangeUnsubscriber = undefined;
+
+    connectedCallback() {
+      // The section puts the preferred store (saved as a cart attribute) first
+      this.preferredStoreChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.preferredStoreChange, () => {
+        if (this.hasAttribute('available')) this.fetchAvailability(this.dataset.variantId);
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.preferredStoreChangeUnsubscriber) {
+        this.preferredStoreChangeUnsubscriber();
+      }
+    }
+
     fetchAvailability(variantId) {
+      this.dataset.variantId = variantId;
       let rootUrl = this.dataset.rootUrl;
       if (!rootUrl.endsWith("/")) {
         rootUrl = rootUrl + "/";
@@ -0,0 +1,343 @@
+// GraphQL client for the Storefront API, shared by the BOPIS components.
+//
+// - Every attempt times out after `timeout` ms; pass `{ signal }` to cancel a request.
+// - 429 and 5xx responses and THROTTLED GraphQL errors are retried with exponential
+//   backoff. Timeouts and network failures are only retried for queries, since a
+//   mutation may already have been applied.
+// - When the API reports its cost bucket (`extensions.cost.throttleStatus`), requests
+//   wait for the bucket to refill instead of being rejected.
+// - Failures are thrown as StorefrontError subclasses so callers can branch with
+//   `instanceof`. Cancelled requests reject with the signal's AbortError.
+// - Queries passed `{ cache: { ttl, staleWhileRevalidate, persist } }` go through the
+//   page-wide storefrontQueryCache: identical concurrent queries share one request,
+//   even across client instances.
+// - StorefrontClient.fromSettings() builds a client from the theme settings that
+//   layout/theme.liquid renders as `window.storefrontSettings`.
+const STOREFRONT_API_DEFAULT_VERSION = '2024-04';
+const STOREFRONT_CACHE_STORAGE_PREFIX = 'storefront-cache:';
+
+class StorefrontError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = this.constructor.name;
+  }
+}
+
+// No usable response: offline, timed out, or an HTTP error status.
+class StorefrontNetworkError extends StorefrontError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options.status || null;
+    this.timedOut = Boolean(options.timedOut);
+  }
+}
+
+class StorefrontThrottledError extends StorefrontError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options.status || null;
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+
+// The request reached the API but the query itself failed (`errors` in the response).
+class StorefrontGraphQLError extends StorefrontError {
+  constructor(errors, options = {}) {
+    super(errors[0].message, options);
+    this.errors = errors;
+    this.data = options.data || null;
+  }
+}
+
+// A mutation ran but returned `userErrors` (e.g. an invalid line or missing cart).
+class StorefrontUserError extends StorefrontError {
+  constructor(operation, userErrors, options = {}) {
+    super(userErrors[0].message, options);
+    this.operation = operation;
+    this.userErrors = userErrors;
+  }
+}
+
+// Responses keyed by endpoint, query and variables. An entry is fresh for `ttl` ms,
+// then served stale for another `staleWhileRevalidate` ms while it is refetched in
+// the background. `persist` also keeps it in sessionStorage for later page views.
+class StorefrontQueryCache {
+  constructor() {
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  getKey(endpoint, query, variables) {
+    const source = JSON.stringify([endpoint, query.replace(/\s+/g, ' ').trim(), variables]);
+
+    // djb2, so sessionStorage keys stay short
+    let hash = 5381;
+    for (let index = 0; index < source.length; index++) {
+      hash = ((hash << 5) + hash + source.charCodeAt(index)) | 0;
+    }
+    return `${(hash >>> 0).toString(36)}:${source.length}`;
+  }
+
+  async fetch(key, loader, { ttl = 0, staleWhileRevalidate = 0, persist = false } = {}) {
+    const entry = this.read(key, persist);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (age < ttl) return entry.data;
+
+    if (age < ttl + staleWhileRevalidate) {
+      this.load(key, loader, persist).catch((error) => console.warn('Storefront API: Background revalidation failed', error));
+      return entry.data;
+    }
+
+    return this.load(key, loader, persist);
+  }
+
+  load(key, loader, persist) {
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const request = loader()
+      .then((data) => {
+        this.write(key, { data, storedAt: Date.now() }, persist);
+        return data;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  read(key, persist) {
+    if (this.entries.has(key) || !persist) return this.entries.get(key);
+
+    try {
+      const entry = JSON.parse(sessionStorage.getItem(STOREFRONT_CACHE_STORAGE_PREFIX + key));
+      if (entry) this.entries.set(key, entry);
+      return entry;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  write(key, entry, persist) {
+    this.entries.set(key, entry);
+    if (!persist) return;
+
+    try {
+      sessionStorage.setItem(STOREFRONT_CACHE_STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      // Storage full or unavailable: the in-memory entry still serves this page.
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+
+    try {
+      Object.keys(sessionStorage)
+        .filter((key) => key.startsWith(STOREFRONT_CACHE_STORAGE_PREFIX))
+        .forEach((key) => sessionStorage.removeItem(key));
+    } catch (error) {
+      // Nothing persisted when storage is unavailable.
+    }
+  }
+}
+
+const storefrontQueryCache = new StorefrontQueryCache();
+
+class StorefrontClient {
+  // Returns null when no access token is configured
+  static fromSettings(options = {}) {
+    const settings = window.storefrontSettings || {};
+    if (!settings.accessToken) return null;
+
+    return new StorefrontClient(settings.accessToken, StorefrontClient.normalizeShopDomain(settings.shopDomain), {
+      apiVersion: settings.apiVersion,
+      ...options
+    });
+  }
+
+  // Accepts the domain with or without a scheme or trailing slash
+  static normalizeShopDomain(shopDomain) {
+    return String(shopDomain || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  }
+
+  constructor(accessToken, shopDomain, options = {}) {
+    this.accessToken = accessToken;
+    this.apiVersion = options.apiVersion || STOREFRONT_API_DEFAULT_VERSION;
+    this.endpoint = `https://${shopDomain}/api/${this.apiVersion}/graphql.json`;
+    this.timeout = options.timeout || 10000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay || 500;
+    this.throttleStatus = null;
+  }
+
+  async query(query, variables = {}, options = {}) {
+    if (!options.cache) return this.request(query, variables, { ...options, idempotent: true });
+
+    // The shared request must outlive any one caller, so it runs without the
+    // caller's signal; aborting only stops this caller from waiting for it.
+    const key = storefrontQueryCache.getKey(this.endpoint, query, variables);
+    const loader = () => this.request(query, variables, { idempotent: true });
+    return this.whenNotAborted(storefrontQueryCache.fetch(key, loader, options.cache), options.signal);
+  }
+
+  async mutate(mutation, variables = {}, options = {}) {
+    return this.request(mutation, variables, { ...options, idempotent: false });
+  }
+
+  async request(query, variables = {}, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForCapacity(options.signal);
+
+      try {
+        return await this.send(query, variables, options.signal);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error, options.idempotent)) throw error;
+
+        const delay = this.getRetryDelay(error, attempt);
+        console.warn(`Storefront API: ${error.message}, retrying in ${delay}ms`);
+        await this.wait(delay, options.signal);
+      }
+    }
+  }
+
+  async send(query, variables, signal) {
+    signal?.throwIfAborted();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    signal?.addEventListener('abort', onAbort);
+
+    let response;
+    let body;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Storefront-Access-Token': this.accessToken
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: controller.signal
+      });
+      body = response.ok ? await response.json() : null;
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+
+      const timedOut = controller.signal.aborted;
+      throw new StorefrontNetworkError(
+        timedOut ? `Storefront API request timed out after ${this.timeout}ms` : 'Unable to reach the Storefront API',
+        { cause: error, timedOut }
+      );
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      throw new StorefrontThrottledError('Storefront API rate limit exceeded', {
+        status: 429,
+        retryAfter: retryAfter ? retryAfter * 1000 : null
+      });
+    }
+
+    if (!response.ok) {
+      throw new StorefrontNetworkError(`Storefront API error: ${response.status} ${response.statusText}`, {
+        status: response.status
+      });
+    }
+
+    const { data, errors, extensions } = body;
+    this.updateThrottleStatus(extensions);
+
+    if (errors && errors.length > 0) {
+      if (errors.some((error) => error.extensions && error.extensions.code === 'THROTTLED')) {
+        throw new StorefrontThrottledError('Storefront API query cost limit exceeded', {
+          retryAfter: this.getCapacityDelay(extensions && extensions.cost && extensions.cost.requestedQueryCost)
+        });
+      }
+
+      throw new StorefrontGraphQLError(errors, { data });
+    }
+
+    return data;
+  }
+
+  isRetryable(error, idempotent) {
+    if (error instanceof StorefrontThrottledError) return true;
+    if (!(error instanceof StorefrontNetworkError)) return false;
+    if (error.status) return error.status >= 500;
+    return idempotent;
+  }
+
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter) return error.retryAfter;
+    return this.retryDelay * 2 ** attempt + Math.round(Math.random() * 100);
+  }
+
+  // extensions.cost: { requestedQueryCost, throttleStatus: { maximumAvailable, currentlyAvailable, restoreRate } }
+  updateThrottleStatus(extensions) {
+    const cost = extensions && extensions.cost;
+    if (!cost || !cost.throttleStatus) return;
+
+    this.throttleStatus = {
+      ...cost.throttleStatus,
+      requestedQueryCost: cost.requestedQueryCost || 0,
+      updatedAt: Date.now()
+    };
+  }
+
+  // How long until the bucket holds `cost` points again, assuming the next
+  // request costs about as much as the last one.
+  getCapacityDelay(cost) {
+    if (!this.throttleStatus) return null;
+
+    const { maximumAvailable, currentlyAvailable, restoreRate, requestedQueryCost, updatedAt } = this.throttleStatus;
+    const needed = Math.min(cost || requestedQueryCost, maximumAvailable);
+    const available = Math.min(maximumAvailable, currentlyAvailable + (restoreRate * (Date.now() - updatedAt)) / 1000);
+
+    if (available >= needed || !restoreRate) return null;
+    return Math.ceil(((needed - available) / restoreRate) * 1000);
+  }
+
+  async waitForCapacity(signal) {
+    const delay = this.getCapacityDelay();
+    if (delay) await this.wait(delay, signal);
+  }
+
+  whenNotAborted(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}